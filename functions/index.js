@@ -1,11 +1,13 @@
 // index.js
 // Firebase Functions version of LINE Summary Bot
-const functions = require('firebase-functions');
+// firebase-functions v6 exports the v2 API from its root; this file uses the v1 API (config(), runWith, Firestore and Pub/Sub triggers)
+const functions = require('firebase-functions/v1');
 const admin = require('firebase-admin');
 const express = require('express');
 const line = require('@line/bot-sdk');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
 const { google } = require('googleapis');
+const crypto = require('crypto');
 
 // Initialize Firebase Admin SDK
 console.log('Initializing Firebase...');
@@ -21,6 +23,91 @@ const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
 
 // Global variable to store Google Sheets data
 let cachedSheetsData = [];
+// When cachedSheetsData was last loaded from Google Sheets (null until the first successful load)
+let cachedSheetsDataUpdatedAt = null;
+// Version of the Firestore snapshot matching cachedSheetsData, and where the data came from ('sheets' or 'snapshot')
+let cachedSheetsDataVersion = null;
+let cachedSheetsDataSource = null;
+
+// Number of messages fetched per Firestore page when collecting messages for a summary
+const MESSAGE_PAGE_SIZE = 500;
+
+// Summary styles a user can choose with /profile style, mapped to the extra prompt instruction
+const SUMMARY_STYLES = {
+  standard: '',
+  brief: 'Keep the summary brief: no more than 5 short bullet points in total.',
+  detailed: 'Be thorough: cover every topic discussed, including relevant details, numbers and dates.',
+  bullets: 'Format the entire summary as bullet points, without paragraphs.'
+};
+
+// Summary formats a user can choose with /profile format: Flex carousel, or plain text for clients without Flex support
+const SUMMARY_FORMATS = ['flex', 'text'];
+
+// Response schema for structured chat summaries (see buildSummaryPrompt and renderStructuredSummary)
+const SUMMARY_RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    generalSummary: {
+      type: SchemaType.STRING,
+      description: 'A brief, 2-3 sentence paragraph outlining the main topics and overall sentiment of the conversation'
+    },
+    decisions: {
+      type: SchemaType.ARRAY,
+      description: 'Decisions that were made or agreed on',
+      items: { type: SchemaType.STRING }
+    },
+    openQuestions: {
+      type: SchemaType.ARRAY,
+      description: 'Questions that were asked and are still unanswered',
+      items: { type: SchemaType.STRING }
+    },
+    mentions: {
+      type: SchemaType.ARRAY,
+      description: 'Every instance where the focus user was mentioned',
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          mentionedBy: { type: SchemaType.STRING, description: 'Who made the mention' },
+          context: { type: SchemaType.STRING, description: 'The context of the mention, including any direct question' }
+        },
+        required: ['mentionedBy', 'context']
+      }
+    },
+    actionItems: {
+      type: SchemaType.ARRAY,
+      description: 'Tasks someone agreed to or was asked to do',
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          description: { type: SchemaType.STRING, description: 'What needs to be done' },
+          assignee: { type: SchemaType.STRING, description: 'Who should do it, as named in the conversation' },
+          dueDate: { type: SchemaType.STRING, nullable: true, description: 'When it is due, as stated in the conversation, or null' },
+          sourceMessage: { type: SchemaType.STRING, description: 'The message the action item comes from, quoted as "Name: text"' },
+          assignedToFocusUser: { type: SchemaType.BOOLEAN, description: 'Whether the action item is for the focus user' }
+        },
+        required: ['description', 'assignee', 'sourceMessage', 'assignedToFocusUser']
+      }
+    },
+    resolvedTaskRefs: {
+      type: SchemaType.ARRAY,
+      description: 'References (e.g. "T2") of previously open tasks that the conversation shows were completed',
+      items: { type: SchemaType.STRING }
+    }
+  },
+  required: ['generalSummary', 'decisions', 'openQuestions', 'mentions', 'actionItems', 'resolvedTaskRefs']
+};
+
+// Flex Message limits for summary carousels
+// LINE allows 12 bubbles and 50KB per carousel; long text is truncated to keep each bubble well below that
+const FLEX_CAROUSEL_MAX_BUBBLES = 12;
+const FLEX_CAROUSEL_MAX_BYTES = 45000;
+const FLEX_SUMMARY_MAX_LENGTH = 600;
+const FLEX_SECTION_MAX_LINES = 5;
+const FLEX_LINE_MAX_LENGTH = 150;
+
+// Estimated token budget for the conversation text in a single summary prompt
+// Longer conversations are summarized in chunks of this size and then merged
+const SUMMARY_CHUNK_TOKENS = 24000;
 
 // Function to split long text into multiple messages (LINE has 5000 char limit per message)
 function splitIntoMessages(text, maxLength = 4000) {
@@ -46,6 +133,185 @@ function splitIntoMessages(text, maxLength = 4000) {
   return messages;
 }
 
+// Function to extract typed metadata from a LINE message object (non-text messages carry no text)
+// Text messages keep their mentions (who was @-mentioned and where) and LINE emojis; plain text has no metadata
+function extractMessageMetadata(message) {
+  switch (message.type) {
+    case 'text': {
+      const mentionees = (message.mention?.mentionees || []).map(mentionee => ({
+        type: mentionee.type || 'user', // 'all' for @All
+        userId: mentionee.userId || null,
+        index: mentionee.index,
+        length: mentionee.length,
+        isSelf: Boolean(mentionee.isSelf), // the bot itself was mentioned
+        text: message.text.substr(mentionee.index, mentionee.length)
+      }));
+      const emojis = (message.emojis || []).map(emoji => ({
+        index: emoji.index,
+        length: emoji.length,
+        productId: emoji.productId,
+        emojiId: emoji.emojiId
+      }));
+      if (mentionees.length === 0 && emojis.length === 0 && !message.quoteToken) return null;
+      return {
+        mentionees: mentionees,
+        emojis: emojis,
+        quoteToken: message.quoteToken || null
+      };
+    }
+    case 'image':
+    case 'video':
+    case 'audio':
+      return {
+        contentId: message.id,
+        contentProvider: message.contentProvider?.type || 'line',
+        originalContentUrl: message.contentProvider?.originalContentUrl || null,
+        duration: message.duration ?? null
+      };
+    case 'file':
+      return {
+        contentId: message.id,
+        fileName: message.fileName || null,
+        fileSize: message.fileSize ?? null
+      };
+    case 'sticker':
+      return {
+        packageId: message.packageId || null,
+        stickerId: message.stickerId || null,
+        stickerResourceType: message.stickerResourceType || null,
+        keywords: message.keywords || [],
+        text: message.text || null
+      };
+    case 'location':
+      return {
+        title: message.title || null,
+        address: message.address || null,
+        latitude: message.latitude ?? null,
+        longitude: message.longitude ?? null
+      };
+    default:
+      return null;
+  }
+}
+
+// Function to format a stored message as a line of conversation text for the summary prompt
+function formatMessageForPrompt(msg) {
+  const name = msg.displayName || 'User';
+  const metadata = msg.metadata || {};
+
+  switch (msg.messageType) {
+    case 'image':
+      return `[${name} shared an image]`;
+    case 'video':
+      return `[${name} shared a video]`;
+    case 'audio':
+      return `[${name} shared a voice message]`;
+    case 'file':
+      return `[${name} shared file: ${metadata.fileName || 'unnamed file'}]`;
+    case 'sticker': {
+      const keywords = (metadata.keywords || []).slice(0, 3).join(', ');
+      return keywords ? `[${name} sent a sticker: ${keywords}]` : `[${name} sent a sticker]`;
+    }
+    case 'location': {
+      const place = [metadata.title, metadata.address].filter(Boolean).join(', ');
+      return place ? `[${name} shared location: ${place}]` : `[${name} shared a location]`;
+    }
+    default:
+      return `${name}: ${msg.text}`;
+  }
+}
+
+// Function to get the name of a mentioned user for the summary prompt
+function formatMentioneeName(mentionee, focus) {
+  if (mentionee.type === 'all') return 'everyone';
+  if (focus && mentionee.userId && mentionee.userId === focus.userId) return `${focus.displayName} (focus user)`;
+  return mentionee.displayName || (mentionee.text || '').replace(/^@/, '') || 'someone';
+}
+
+// Function to format stored messages as conversation lines for the summary prompt, with reply threads and mentions
+// Replies name the message they quote, and @-mentions are listed by who was actually mentioned (resolved from
+// LINE user IDs), so the model doesn't have to guess from "@name" text. focus is { userId, displayName }.
+function formatConversationForPrompt(messages, focus = null) {
+  const messagesById = new Map(messages.filter(msg => msg.messageId).map(msg => [msg.messageId, msg]));
+
+  return messages.map(msg => {
+    let line = formatMessageForPrompt(msg);
+
+    if (msg.quotedMessageId) {
+      const quoted = messagesById.get(msg.quotedMessageId);
+      const quotedText = quoted ? formatMessageForPrompt(quoted) : null;
+      const replyTo = quotedText
+        ? `(replying to ${quotedText.length > 80 ? `${quotedText.substring(0, 77)}...` : quotedText})`
+        : '(replying to an earlier message)';
+      line = line.startsWith('[')
+        ? `${replyTo} ${line}`
+        : line.replace(': ', ` ${replyTo}: `);
+    }
+
+    const mentionees = (msg.metadata && msg.metadata.mentionees) || [];
+    if (mentionees.length > 0) {
+      line += ` [mentions: ${mentionees.map(mentionee => formatMentioneeName(mentionee, focus)).join(', ')}]`;
+    }
+    return line;
+  });
+}
+
+// Function to get when a stored message was sent
+// sentAt is the LINE event timestamp; messages stored before it existed get their server write time copied into sentAt
+// by backfillMessageSentAt, since queries ordered by sentAt skip documents without it. The fallback only covers
+// documents read some other way before that backfill has run.
+function getMessageSentAt(msg) {
+  return msg.sentAt || msg.timestamp || null;
+}
+
+// Function to copy the server write time into sentAt for messages stored before sentAt existed (runs once)
+// Completion is recorded in migrations/messageSentAt; an interrupted run starts over, skipping messages that have sentAt
+async function backfillMessageSentAt() {
+  const migrationRef = db.collection('migrations').doc('messageSentAt');
+  const migrationDoc = await migrationRef.get();
+  if (migrationDoc.exists && migrationDoc.data().completedAt) return;
+
+  console.log('Backfilling sentAt on legacy messages...');
+  // listDocuments() also returns chats that only exist as a parent of their messages subcollection
+  const chatRefs = await db.collection('chats').listDocuments();
+  let updated = 0;
+
+  for (const chatRef of chatRefs) {
+    let lastDoc = null;
+    while (true) {
+      let query = chatRef.collection('messages').orderBy(admin.firestore.FieldPath.documentId()).limit(400);
+      if (lastDoc) query = query.startAfter(lastDoc);
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      let batchSize = 0;
+      snapshot.docs.forEach(doc => {
+        const data = doc.data();
+        if (data.sentAt || !data.timestamp) return;
+        batch.update(doc.ref, { sentAt: data.timestamp });
+        batchSize++;
+      });
+      if (batchSize > 0) await batch.commit();
+      updated += batchSize;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  await migrationRef.set({
+    updatedMessages: updated,
+    completedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  console.log(`Backfilled sentAt on ${updated} legacy messages`);
+}
+
+// Function to check whether a stored message should be included in a summary
+function isSummarizableMessage(msg) {
+  if (msg.unsent) return false;
+  if (msg.messageType && msg.messageType !== 'text') return true;
+  return Boolean(msg.text) && msg.text.toLowerCase() !== '/summarize';
+}
+
 // Rate limiting utility
 class RateLimiter {
   constructor(maxRequests = 2, windowMs = 1000) {
@@ -54,308 +320,3013 @@ class RateLimiter {
     this.requests = [];
   }
 
-  async waitForSlot() {
-    const now = Date.now();
-    
-    // Remove old requests outside the window
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-    
-    // If we're at the limit, wait until the oldest request expires
-    if (this.requests.length >= this.maxRequests) {
-      const oldestRequest = this.requests[0];
-      const waitTime = this.windowMs - (now - oldestRequest);
-      if (waitTime > 0) {
-        console.log(`Rate limit reached. Waiting ${waitTime}ms...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        return this.waitForSlot(); // Recursively check again
-      }
+  async waitForSlot() {
+    const now = Date.now();
+    
+    // Remove old requests outside the window
+    this.requests = this.requests.filter(time => now - time < this.windowMs);
+    
+    // If we're at the limit, wait until the oldest request expires
+    if (this.requests.length >= this.maxRequests) {
+      const oldestRequest = this.requests[0];
+      const waitTime = this.windowMs - (now - oldestRequest);
+      if (waitTime > 0) {
+        console.log(`Rate limit reached. Waiting ${waitTime}ms...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        return this.waitForSlot(); // Recursively check again
+      }
+    }
+    
+    // Record this request
+    this.requests.push(now);
+  }
+}
+
+// Create a global rate limiter for Gemini API calls
+// Gemini 2.0 Flash has 15 RPM limit, so we'll use 14 requests per minute to be safe
+const geminiRateLimiter = new RateLimiter(14, 60000); // Max 14 requests per 60 seconds (1 minute)
+
+// Error thrown when Gemini returns JSON that can't be parsed or doesn't match the response schema
+class MalformedResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MalformedResponseError';
+  }
+}
+
+// Function to validate a parsed JSON value against a Gemini response schema (types, required properties, array items)
+// Returns a list of problems, empty when the value is valid
+function validateAgainstSchema(value, schema, path = 'response') {
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${path} is missing`];
+  }
+
+  switch (schema.type) {
+    case SchemaType.OBJECT: {
+      if (typeof value !== 'object' || Array.isArray(value)) return [`${path} should be an object`];
+      const problems = (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .map(key => `${path}.${key} is missing`);
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          problems.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+      }
+      return problems;
+    }
+    case SchemaType.ARRAY:
+      if (!Array.isArray(value)) return [`${path} should be an array`];
+      return value.flatMap((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    case SchemaType.STRING:
+      return typeof value === 'string' ? [] : [`${path} should be a string`];
+    case SchemaType.NUMBER:
+    case SchemaType.INTEGER:
+      return typeof value === 'number' ? [] : [`${path} should be a number`];
+    case SchemaType.BOOLEAN:
+      return typeof value === 'boolean' ? [] : [`${path} should be a boolean`];
+    default:
+      return [];
+  }
+}
+
+// Function to parse and validate a JSON response from Gemini
+function parseStructuredResponse(text, responseSchema) {
+  let parsed;
+  try {
+    // Tolerate a markdown code fence around the JSON
+    parsed = JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+  } catch (error) {
+    throw new MalformedResponseError(`Response is not valid JSON: ${error.message}`);
+  }
+
+  const problems = validateAgainstSchema(parsed, responseSchema);
+  if (problems.length > 0) {
+    throw new MalformedResponseError(`Response does not match schema: ${problems.slice(0, 5).join('; ')}`);
+  }
+  return parsed;
+}
+
+// Enhanced function to generate content with retry logic and rate limiting
+// With a responseSchema, Gemini is asked for JSON and the parsed, validated object is returned instead of text;
+// malformed JSON is retried like a rate limit error
+async function generateContentWithRetry(prompt, maxRetries = 3, responseSchema = null) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      // Wait for rate limiter
+      await geminiRateLimiter.waitForSlot();
+      
+      console.log(`Generating content (attempt ${attempt}/${maxRetries})...`);
+      const request = responseSchema
+        ? {
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { responseMimeType: 'application/json', responseSchema: responseSchema }
+        }
+        : prompt;
+      const result = await model.generateContent(request);
+      const response = await result.response;
+      const text = response.text();
+      
+      console.log(`Content generated successfully on attempt ${attempt}`);
+      return responseSchema ? parseStructuredResponse(text, responseSchema) : text;
+      
+    } catch (error) {
+      console.error(`Attempt ${attempt} failed:`, error.message);
+
+      // Malformed JSON: ask again
+      if (error instanceof MalformedResponseError) {
+        if (attempt < maxRetries) {
+          console.log(`Malformed structured response. Retrying (${attempt + 1}/${maxRetries})...`);
+          continue;
+        }
+        throw new Error(`Malformed structured response after ${maxRetries} attempts: ${error.message}`);
+      }
+      
+      // Check if it's a rate limit error
+      if (error.message && (
+        error.message.includes('429') || 
+        error.message.includes('TooManyRequests') ||
+        error.message.includes('quota') ||
+        error.message.includes('rate limit')
+      )) {
+        if (attempt < maxRetries) {
+          // Exponential backoff: wait 2^attempt seconds
+          const waitTime = Math.pow(2, attempt) * 1000;
+          console.log(`Rate limit hit. Waiting ${waitTime}ms before retry ${attempt + 1}...`);
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+          continue;
+        } else {
+          throw new Error(`Rate limit exceeded after ${maxRetries} attempts. Please try again later.`);
+        }
+      } else {
+        // For non-rate-limit errors, throw immediately
+        throw error;
+      }
+    }
+  }
+}
+
+// Rough token estimate used to budget prompts
+// Latin text averages ~4 characters per token; Thai and other non-ASCII scripts are closer to 1 character per token
+function estimateTokens(text) {
+  const nonAsciiCount = (text.match(/[^\x00-\x7F]/g) || []).length;
+  return Math.ceil((text.length - nonAsciiCount) / 4) + nonAsciiCount;
+}
+
+// Function to split lines into chunks whose estimated size stays within maxTokens
+// A single line larger than maxTokens becomes its own chunk
+function chunkLinesByTokens(lines, maxTokens) {
+  const chunks = [];
+  let currentChunk = [];
+  let currentTokens = 0;
+
+  for (const line of lines) {
+    const lineTokens = estimateTokens(line) + 1; // +1 for the newline
+    if (currentTokens + lineTokens > maxTokens && currentChunk.length > 0) {
+      chunks.push(currentChunk);
+      currentChunk = [];
+      currentTokens = 0;
+    }
+    currentChunk.push(line);
+    currentTokens += lineTokens;
+  }
+
+  if (currentChunk.length > 0) {
+    chunks.push(currentChunk);
+  }
+
+  return chunks;
+}
+
+// Function to summarize a conversation of any length (map-reduce)
+// Short conversations go straight to buildSummaryPrompt; long ones are split into token-bounded chunks,
+// each chunk is summarized, and the partial summaries are merged until they fit into one final prompt.
+// Every Gemini call goes through generateContentWithRetry, so the whole process respects geminiRateLimiter.
+// The final prompt is asked for JSON matching responseSchema when one is given.
+async function summarizeConversation(chatName, conversationLines, buildSummaryPrompt, responseSchema = null) {
+  const conversationText = conversationLines.join('\n');
+  if (estimateTokens(conversationText) <= SUMMARY_CHUNK_TOKENS) {
+    return generateContentWithRetry(buildSummaryPrompt(conversationText), 3, responseSchema);
+  }
+
+  // Map: summarize each chunk of the raw conversation
+  const chunks = chunkLinesByTokens(conversationLines, SUMMARY_CHUNK_TOKENS);
+  console.log(`Conversation "${chatName}" is too long for one prompt, summarizing ${chunks.length} chunks...`);
+
+  let partialSummaries = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunkPrompt = `The following is part ${i + 1} of ${chunks.length} of a long chat conversation "${chatName}".
+Write a detailed, chronological summary of this part. Keep every decision, question, request and action item, who said it and to whom, and every mention of a person by name or @mention.
+Do not add any headlines or introductory sentences.\n\n${chunks[i].join('\n')}\n\nSummary of part ${i + 1}:`;
+    partialSummaries.push(await generateContentWithRetry(chunkPrompt));
+  }
+
+  // Reduce: merge partial summaries until they fit into the final prompt
+  let partialText = formatPartialSummaries(partialSummaries);
+  while (estimateTokens(partialText) > SUMMARY_CHUNK_TOKENS && partialSummaries.length > 1) {
+    const groups = chunkLinesByTokens(partialSummaries, SUMMARY_CHUNK_TOKENS);
+    if (groups.length === partialSummaries.length) {
+      // Every partial summary is already at the budget on its own; pair them up so the merge makes progress
+      groups.splice(0, groups.length, ...pairUp(partialSummaries));
+    }
+    console.log(`Merging ${partialSummaries.length} partial summaries of "${chatName}" into ${groups.length}...`);
+
+    const mergedSummaries = [];
+    for (const group of groups) {
+      if (group.length === 1) {
+        mergedSummaries.push(group[0]);
+        continue;
+      }
+      const mergePrompt = `The following are summaries of consecutive parts of the chat conversation "${chatName}", in chronological order.
+Merge them into one detailed, chronological summary. Keep every decision, question, request and action item, who said it and to whom, and every mention of a person by name or @mention.
+Do not add any headlines or introductory sentences.\n\n${formatPartialSummaries(group)}\n\nMerged summary:`;
+      mergedSummaries.push(await generateContentWithRetry(mergePrompt));
+    }
+    partialSummaries = mergedSummaries;
+    partialText = formatPartialSummaries(partialSummaries);
+  }
+
+  // Final pass: apply the requested summary format to the merged partial summaries
+  return generateContentWithRetry(buildSummaryPrompt(
+    `(This conversation was too long to include in full. Below are summaries of its consecutive parts, in chronological order.)\n\n${partialText}`
+  ), 3, responseSchema);
+}
+
+// Function to label partial summaries with their part numbers for a merge prompt
+function formatPartialSummaries(partialSummaries) {
+  return partialSummaries
+    .map((summary, index) => `Part ${index + 1}:\n${summary}`)
+    .join('\n\n');
+}
+
+// Function to group items into pairs, e.g. [a, b, c] -> [[a, b], [c]]
+function pairUp(items) {
+  const pairs = [];
+  for (let i = 0; i < items.length; i += 2) {
+    pairs.push(items.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+// Function to fetch a chat's summarizable messages for a summary window, in chronological order
+// Pages through Firestore so busy chats are never truncated
+async function fetchChatMessagesForWindow(chatId, summaryWindow, lastSummaryTimestamp) {
+  const messagesRef = db.collection('chats').doc(chatId).collection('messages');
+
+  // Count-based window: walk backwards from the newest message until enough are collected
+  if (summaryWindow.type === 'last') {
+    const collected = [];
+    let lastDoc = null;
+    while (collected.length < summaryWindow.count) {
+      let query = messagesRef.orderBy('sentAt', 'desc').limit(MESSAGE_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+
+      snapshot.docs.forEach(doc => {
+        const data = doc.data();
+        if (collected.length < summaryWindow.count && isSummarizableMessage(data)) {
+          collected.push(data);
+        }
+      });
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < MESSAGE_PAGE_SIZE) break;
+    }
+    return collected.reverse();
+  }
+
+  const start = summaryWindow.type === 'since'
+    ? admin.firestore.Timestamp.fromDate(summaryWindow.start)
+    : lastSummaryTimestamp;
+
+  // First summary of this chat: fall back to the last 30 messages
+  if (!start) {
+    const snapshot = await messagesRef.orderBy('sentAt', 'desc').limit(30).get();
+    return snapshot.docs
+      .map(doc => doc.data())
+      .reverse()
+      .filter(isSummarizableMessage);
+  }
+
+  // Time-based window: walk forwards from the window start with no fixed cap
+  const messages = [];
+  let lastDoc = null;
+  while (true) {
+    let query = messagesRef
+      .where('sentAt', '>', start)
+      .orderBy('sentAt', 'asc')
+      .limit(MESSAGE_PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    snapshot.docs.forEach(doc => messages.push(doc.data()));
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    if (snapshot.size < MESSAGE_PAGE_SIZE) break;
+  }
+  return messages.filter(isSummarizableMessage);
+}
+
+// Function to apply a summary window to messages that are already in memory (collection group fallback)
+function applySummaryWindow(messages, summaryWindow, lastSummaryTimestamp) {
+  const chronological = messages
+    .filter(isSummarizableMessage)
+    .sort((a, b) => {
+      const timeA = getMessageSentAt(a)?.toDate?.() || new Date(0);
+      const timeB = getMessageSentAt(b)?.toDate?.() || new Date(0);
+      return timeA - timeB;
+    });
+
+  if (summaryWindow.type === 'last') {
+    return chronological.slice(-summaryWindow.count);
+  }
+
+  const start = summaryWindow.type === 'since' ? summaryWindow.start : lastSummaryTimestamp?.toDate();
+  if (!start) {
+    return chronological.slice(-30);
+  }
+  return chronological.filter(msg => getMessageSentAt(msg) && getMessageSentAt(msg).toDate() > start);
+}
+
+// --- SUMMARIZATION PIPELINE ---
+// A summary run has three stages:
+//   1. a message source lists the chats to summarize and loads each chat's messages for the summary window
+//   2. buildSummaryPrompt turns a chat's conversation into the Gemini prompt for the requesting user's persona
+//   3. a delivery sink sends each batch of rendered summaries back to LINE
+// runSummaryPipeline ties them together, so every source produces the same summary format.
+
+// Message source over stored chat documents (chats/{chatId}/messages)
+function createChatDocsSource(chatIds) {
+  return {
+    name: 'chat documents',
+    listChats: async () => chatIds.map(chatId => ({
+      chatId: chatId,
+      loadMessages: (summaryWindow, lastSummaryTimestamp) =>
+        fetchChatMessagesForWindow(chatId, summaryWindow, lastSummaryTimestamp)
+    }))
+  };
+}
+
+// Message source over messages already loaded from a collection group query, grouped by chatsId
+function createCollectionGroupSource(chatGroups) {
+  return {
+    name: 'collection group',
+    listChats: async () => Object.entries(chatGroups).map(([chatId, messages]) => ({
+      chatId: chatId,
+      loadMessages: async (summaryWindow, lastSummaryTimestamp) =>
+        applySummaryWindow(messages, summaryWindow, lastSummaryTimestamp)
+    }))
+  };
+}
+
+// Message source over the chats that had activity since a point in time (skipping chats the bot has left)
+function createTimeWindowSource(start) {
+  return {
+    name: `chats active since ${start.toISOString()}`,
+    listChats: async () => {
+      const activeChatsSnapshot = await db.collection('chats')
+        .where('lastActivity', '>=', admin.firestore.Timestamp.fromDate(start))
+        .get();
+      const chatIds = activeChatsSnapshot.docs
+        .filter(doc => doc.data().status !== 'left')
+        .map(doc => doc.id);
+      return createChatDocsSource(chatIds).listChats();
+    }
+  };
+}
+
+// Function to get a chat's type and display name from its stored messages
+function getChatInfo(messages) {
+  const firstMessage = messages[0];
+  const chatType = firstMessage.chatsType;
+  let chatName;
+  if (chatType === 'group') {
+    chatName = firstMessage.groupName || 'Unknown Group';
+  } else if (chatType === 'room') {
+    chatName = 'Multi-person chat';
+  } else {
+    chatName = firstMessage.displayName || 'Direct Chat';
+  }
+  return { chatType, chatName };
+}
+
+// Function to build the summary prompt for one chat, focused on the requesting user's persona
+// openTasks are the chat's previously open tasks, referenced as T1, T2, ... so the model can report resolved ones
+// The answer is JSON matching SUMMARY_RESPONSE_SCHEMA
+function buildSummaryPrompt(persona, chatName, conversationText, openTasks = []) {
+  const openTasksText = openTasks.length > 0
+    ? `Previously open tasks in this chat:\n${openTasks.map((task, index) => `T${index + 1}. ${task.assignee}: ${task.description}`).join('\n')}\n\n`
+    : '';
+
+  return `Summarize the following group chat conversation. Your primary objective is to create a summary specifically for a user named ${persona.displayName} (the focus user). It is critical to capture all direct mentions, questions, and action items assigned to them so they don't miss anything important.
+Key Persona to Focus On:
+${persona.displayName} is mentioned using these names: ${formatPersonaAliases(persona)}.
+Messages that reply to another message say "(replying to Name: text)", and messages that @-mention people end with "[mentions: ...]". These are taken from LINE itself, so rely on them over name-matching to tell who asked or answered whom; "(focus user)" marks ${persona.displayName}.
+Required Output Structure (JSON):
+- generalSummary: a brief, 2-3 sentence paragraph outlining the main topics and overall sentiment of the conversation.
+- decisions: decisions that were made or agreed on.
+- openQuestions: questions that are still unanswered at the end of the conversation.
+- mentions: every instance where ${persona.displayName} was mentioned, with who made the mention and its context. Empty if they were never mentioned.
+- actionItems: every new task someone agreed to or was asked to do, with the assignee, the due date if one was stated (otherwise null), the source message quoted as "Name: text", and whether it is for ${persona.displayName}.
+- resolvedTaskRefs: the references (e.g. "T2") of previously open tasks that the conversation shows were completed. Empty if none were listed or none were completed.
+Write all text in the language of the conversation.
+${getSummaryStyleInstruction(persona)}${openTasksText}Chat Conversation to Summarize: "${chatName}":\n\n${conversationText}`;
+}
+
+// Function to get the sections of a structured summary (SUMMARY_RESPONSE_SCHEMA) below its general summary,
+// shared by the text and Flex renderings: [{ title, lines, backgroundColor }], empty sections left out
+// resolvedTasks are the previously open tasks the summary reported as completed
+function getSummarySections(structured, persona, resolvedTasks = []) {
+  return [
+    {
+      title: `🔔 Mentions of ${persona.displayName}`,
+      lines: structured.mentions.map(mention => `${mention.mentionedBy}: ${mention.context}`),
+      backgroundColor: '#FFF4E5'
+    },
+    {
+      title: '📌 Action items',
+      lines: structured.actionItems.map(item =>
+        `${item.assignedToFocusUser ? '⭐ ' : ''}${item.assignee}: ${item.description}${item.dueDate ? ` (due ${item.dueDate})` : ''}`
+      ),
+      backgroundColor: '#E8F4FD'
+    },
+    {
+      title: '☑️ Resolved tasks',
+      lines: resolvedTasks.map(task => `${task.assignee}: ${task.description}`),
+      backgroundColor: '#EEF7EE'
+    },
+    { title: '✅ Decisions', lines: structured.decisions, backgroundColor: '#F5F5F5' },
+    { title: '❓ Open questions', lines: structured.openQuestions, backgroundColor: '#F5F5F5' }
+  ].filter(section => section.lines.length > 0);
+}
+
+// Function to render a structured summary (SUMMARY_RESPONSE_SCHEMA) as plain text for LINE
+// resolvedTasks are the previously open tasks the summary reported as completed
+function renderStructuredSummary(structured, persona, resolvedTasks = []) {
+  const sections = getSummarySections(structured, persona, resolvedTasks)
+    .map(({ title, lines }) => `${title}\n${lines.map(line => `• ${line}`).join('\n')}`);
+  return [structured.generalSummary, ...sections].join('\n\n');
+}
+
+// Function to render a batch of chat summaries as plain text messages (the fallback for clients without Flex support)
+function buildSummaryTextMessages(chatSummaries, title) {
+  const combinedSummary = chatSummaries
+    .map(chatSummary => `📝 ${chatSummary.chatType} : ${chatSummary.chatName}\n${chatSummary.text}`)
+    .join('\n----------\n');
+
+  // Split the summary into multiple messages if it's too long
+  return splitIntoMessages(`${title}\n\n${combinedSummary}`).map(text => ({
+    type: 'text',
+    text: text
+  }));
+}
+
+// Function to shorten text to a maximum length, keeping Flex bubbles within LINE's size limits
+function truncateText(text, maxLength) {
+  const value = String(text || '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+// Function to build a highlighted Flex section (title plus bullet lines) for a summary bubble
+function buildFlexSection(title, lines, backgroundColor) {
+  return {
+    type: 'box',
+    layout: 'vertical',
+    spacing: 'xs',
+    paddingAll: 'md',
+    cornerRadius: 'md',
+    backgroundColor: backgroundColor,
+    contents: [
+      { type: 'text', text: title, weight: 'bold', size: 'sm', wrap: true },
+      ...lines.slice(0, FLEX_SECTION_MAX_LINES).map(line => ({
+        type: 'text', text: `• ${truncateText(line, FLEX_LINE_MAX_LENGTH)}`, size: 'sm', wrap: true
+      })),
+      ...(lines.length > FLEX_SECTION_MAX_LINES
+        ? [{ type: 'text', text: `+${lines.length - FLEX_SECTION_MAX_LINES} more`, size: 'xs', color: '#888888' }]
+        : [])
+    ]
+  };
+}
+
+// Function to build one Flex bubble for a chat summary: header with chat name and type, body with the summary
+// and highlighted mention / action item sections
+function buildSummaryBubble(chatSummary, persona) {
+  const { chatType, chatName, structured, resolvedTasks } = chatSummary;
+  const sections = getSummarySections(structured, persona, resolvedTasks)
+    .map(({ title, lines, backgroundColor }) => buildFlexSection(title, lines, backgroundColor));
+
+  return {
+    type: 'bubble',
+    size: 'mega',
+    header: {
+      type: 'box',
+      layout: 'vertical',
+      backgroundColor: '#06C755',
+      contents: [
+        { type: 'text', text: truncateText(chatName, 60), weight: 'bold', size: 'md', color: '#FFFFFF', wrap: true },
+        { type: 'text', text: { group: 'Group chat', room: 'Multi-person chat' }[chatType] || 'Direct chat', size: 'xs', color: '#E8F8EE' }
+      ]
+    },
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'md',
+      contents: [
+        { type: 'text', text: truncateText(structured.generalSummary, FLEX_SUMMARY_MAX_LENGTH), size: 'sm', wrap: true },
+        ...sections
+      ]
+    }
+  };
+}
+
+// Function to render a batch of chat summaries as Flex carousels (one bubble per chat)
+// Bubbles are packed into as few carousels as LINE's bubble-count and size limits allow
+function buildSummaryFlexMessages(chatSummaries, persona, title) {
+  const carousels = [];
+  let current = { bubbles: [], chatNames: [], bytes: 0 };
+
+  chatSummaries.forEach(chatSummary => {
+    const bubble = buildSummaryBubble(chatSummary, persona);
+    const bubbleBytes = Buffer.byteLength(JSON.stringify(bubble));
+    if (current.bubbles.length > 0 && (
+      current.bubbles.length >= FLEX_CAROUSEL_MAX_BUBBLES ||
+      current.bytes + bubbleBytes > FLEX_CAROUSEL_MAX_BYTES
+    )) {
+      carousels.push(current);
+      current = { bubbles: [], chatNames: [], bytes: 0 };
+    }
+    current.bubbles.push(bubble);
+    current.chatNames.push(chatSummary.chatName);
+    current.bytes += bubbleBytes;
+  });
+  carousels.push(current);
+
+  return carousels.map(carousel => ({
+    type: 'flex',
+    altText: truncateText(`${title}: ${carousel.chatNames.join(', ')}`, 400),
+    contents: { type: 'carousel', contents: carousel.bubbles }
+  }));
+}
+
+// Function to store delivered summaries, structured result and rendered text side by side, so action items can be queried later
+// Also persists each summary's new action items as tasks and closes the tasks it reported as resolved
+async function saveSummaryRecords(records) {
+  if (records.length === 0) return;
+
+  const batch = db.batch();
+  for (const { newTasks, resolvedTaskIds, ...record } of records) {
+    const summaryRef = db.collection('summaries').doc();
+    batch.set(summaryRef, {
+      ...record,
+      actionItemCount: record.structured.actionItems.length,
+      actionItemAssignees: [...new Set(record.structured.actionItems.map(item => item.assignee))],
+      resolvedTaskIds: resolvedTaskIds,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await addTasksToBatch(batch, newTasks, summaryRef.id);
+    resolvedTaskIds.forEach(taskId => {
+      batch.update(db.collection('tasks').doc(taskId), {
+        status: 'done',
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        completedBy: 'summary',
+        completedBySummaryId: summaryRef.id
+      });
+    });
+  }
+
+  await batch.commit();
+  console.log(`Saved ${records.length} summary records`);
+}
+
+// --- LINE DELIVERY ---
+
+// Function to get the HTTP status of a LINE API error (undefined for network errors)
+function getLineErrorStatus(error) {
+  return error.statusCode || error.status || error.originalError?.response?.status;
+}
+
+// Function to check whether a failed LINE API call is worth retrying
+function isRetryableLineError(error) {
+  const status = getLineErrorStatus(error);
+  return status === undefined || status === 429 || status >= 500;
+}
+
+// Delivery sink for sending messages to one chat:
+// - uses the reply token while it is fresh (replies are free), and switches to pushMessage once it is stale or used
+// - packs messages into LINE's limit of 5 message objects per call
+// - retries an individual failed call (network errors, 429, 5xx) without regenerating its content
+// - drops pushes to chats the bot has left
+function createLineDelivery(client, { targetId, replyToken = null, replyTokenIssuedAt = null }) {
+  let replyTokenAvailable = Boolean(replyToken);
+  let targetActive = null;
+
+  const canReply = () => replyTokenAvailable &&
+    Boolean(replyTokenIssuedAt) &&
+    Date.now() - replyTokenIssuedAt < REPLY_TOKEN_MAX_AGE_MS;
+
+  const sendOnce = async (messages) => {
+    if (canReply()) {
+      // A reply token can only be used once, so don't try it again even if this call fails
+      replyTokenAvailable = false;
+      try {
+        await client.replyMessage(replyToken, messages);
+        return;
+      } catch (replyError) {
+        console.log(`Reply failed (${getLineErrorStatus(replyError) || replyError.message}), falling back to push`);
+      }
+    } else if (replyTokenAvailable) {
+      console.log(`Reply token for ${targetId} is stale, using push`);
+      replyTokenAvailable = false;
+    }
+
+    // Never push to a chat the bot has left (unfollowed or removed from the group)
+    if (targetActive === null) {
+      targetActive = await isChatActive(targetId);
+    }
+    if (!targetActive) {
+      console.log(`Not pushing to ${targetId}: the bot is no longer in this chat`);
+      return;
+    }
+    await client.pushMessage(targetId, messages);
+  };
+
+  return {
+    send: async (messages) => {
+      for (let i = 0; i < messages.length; i += LINE_MAX_MESSAGES_PER_CALL) {
+        const chunk = messages.slice(i, i + LINE_MAX_MESSAGES_PER_CALL);
+
+        for (let attempt = 1; attempt <= DELIVERY_MAX_ATTEMPTS; attempt++) {
+          try {
+            await sendOnce(chunk);
+            break;
+          } catch (error) {
+            if (!isRetryableLineError(error) || attempt === DELIVERY_MAX_ATTEMPTS) {
+              throw error;
+            }
+            // Exponential backoff: wait 2^attempt seconds
+            const waitTime = Math.pow(2, attempt) * 1000;
+            console.log(`Delivery to ${targetId} failed (${getLineErrorStatus(error) || error.message}). Retrying in ${waitTime}ms...`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+          }
+        }
+      }
+    }
+  };
+}
+
+// Function to run a summary: load chats from the source, summarize them in batches and deliver each batch to the sink
+// Each chat is filtered by the summary window, which defaults to the requesting user's own watermark for that chat.
+// Only the default window advances watermarks; explicit time and count windows are one-off lookbacks.
+// onProgress(progress) is called after every chat and batch; with onChatFailed(chatId, error), a chat that fails
+// is recorded and skipped instead of aborting the whole run.
+// With a deadline (ms timestamp), the run stops early rather than start a chat or a wait between batches that might
+// not finish in time: what's been summarized is delivered, and the run can be continued later from nextChatIndex
+// (with startIndex and the counters reached so far in `progress`), not before resumeAfter when that is set.
+// Returns { summarizedChats, processedChats, nextChatIndex, resumeAfter } - nextChatIndex is null once every chat is done
+async function runSummaryPipeline({
+  source, sink, summaryWindow, persona, requesterId, batchSize = 15, onProgress = null, onChatFailed = null,
+  startIndex = 0, progress = { summarizedChats: 0, processedChats: 0 }, deadline = null
+}) {
+  const chats = await source.listChats();
+  const totalChats = chats.length;
+  const totalBatches = Math.ceil(totalChats / batchSize);
+  let summarizedChats = progress.summarizedChats;
+  let processedChats = progress.processedChats;
+  const hasTimeFor = duration => !deadline || Date.now() + duration + SUMMARY_CHAT_TIME_BUDGET_MS <= deadline;
+  console.log(`Processing ${totalChats - startIndex} of ${totalChats} chats from ${source.name} in batches of ${batchSize}`);
+
+  const reportProgress = async (batchNumber) => {
+    if (!onProgress) return;
+    try {
+      await onProgress({ totalChats, processedChats, summarizedChats, batchNumber, totalBatches });
+    } catch (progressError) {
+      console.error('Error reporting summary progress:', progressError);
+    }
+  };
+  await reportProgress(Math.floor(startIndex / batchSize));
+
+  // Process chats in batches (a continued run starts inside the batch it stopped in)
+  for (let i = startIndex - (startIndex % batchSize); i < totalChats; i += batchSize) {
+    const batchEnd = Math.min(i + batchSize, totalChats);
+    const batchNumber = Math.floor(i / batchSize) + 1;
+    let chatIndex = Math.max(i, startIndex);
+
+    console.log(`Processing batch ${batchNumber}/${totalBatches} with ${batchEnd - chatIndex} chats`);
+
+    const chatSummaries = []; // Rendered per-chat summaries for this batch
+    const summaryRecords = []; // Structured results to store once this batch is delivered
+    const summarizedCursors = []; // Watermarks to advance once this batch is delivered
+
+    // Process each chat in the current batch, until the deadline gets too close
+    for (; chatIndex < batchEnd && hasTimeFor(0); chatIndex++) {
+      const chat = chats[chatIndex];
+      try {
+        const lastSummaryTimestamp = await getSummaryCursor(chat.chatId, requesterId);
+
+        // Get all messages in the summary window from this chat (chronological order)
+        const messages = await chat.loadMessages(summaryWindow, lastSummaryTimestamp);
+        console.log(`Found ${messages.length} messages in chat ${chat.chatId} (${summaryWindow.label || 'since last summary'})`);
+
+        if (messages.length === 0) continue;
+
+        const { chatType, chatName } = getChatInfo(messages);
+        console.log(`Generating summary for ${chatType}: ${chatName}`);
+
+        // Previously open tasks, so the summary can report the ones resolved in these messages
+        const openTasks = await getOpenTasksForChat(chat.chatId);
+
+        // Generate summary for this chat (long conversations are summarized in chunks, then merged)
+        const conversationLines = formatConversationForPrompt(messages, { userId: requesterId, displayName: persona.displayName });
+        const structured = await summarizeConversation(chatName, conversationLines,
+          conversationText => buildSummaryPrompt(persona, chatName, conversationText, openTasks), SUMMARY_RESPONSE_SCHEMA);
+        const resolvedTasks = resolveTaskRefs(structured.resolvedTaskRefs, openTasks);
+        const summary = renderStructuredSummary(structured, persona, resolvedTasks);
+        console.log(`Summary generated for ${chatType}: ${chatName}: ${summary.substring(0, 100)}...`);
+
+        chatSummaries.push({ chatType, chatName, structured, resolvedTasks, text: summary });
+        summaryRecords.push({
+          chatId: chat.chatId,
+          chatType: chatType,
+          chatName: chatName,
+          requesterId: requesterId,
+          summaryWindow: summaryWindow.label || 'since last summary',
+          messageCount: messages.length,
+          structured: structured,
+          renderedText: summary,
+          newTasks: structured.actionItems.map(item => buildTaskFromActionItem(item, {
+            chatId: chat.chatId,
+            chatName: chatName,
+            requesterId: requesterId,
+            messages: messages
+          })),
+          resolvedTaskIds: resolvedTasks.map(task => task.id)
+        });
+        if (summaryWindow.type === 'sinceLastSummary') {
+          summarizedCursors.push({ chatId: chat.chatId, timestamp: getLatestMessageTimestamp(messages) });
+        }
+      } catch (chatError) {
+        if (!onChatFailed) throw chatError;
+        console.error(`Error summarizing chat ${chat.chatId}:`, chatError);
+        await onChatFailed(chat.chatId, chatError);
+      } finally {
+        processedChats++;
+        await reportProgress(batchNumber);
+      }
+    }
+
+    // Send batch summary if there are summaries
+    if (chatSummaries.length > 0) {
+      summarizedChats += chatSummaries.length;
+      const windowTitle = summaryWindow.label ? ` - ${summaryWindow.label}` : '';
+      const batchTitle = totalBatches > 1 ? `${windowTitle} (Batch ${batchNumber}/${totalBatches})` : windowTitle;
+      const title = `📋 Conversation Summaries${batchTitle}`;
+
+      // Flex carousel by default; plain text for users who chose it, or if LINE rejects the Flex message
+      const textMessages = buildSummaryTextMessages(chatSummaries, title);
+      if (persona.summaryFormat === 'text') {
+        await sink.send(textMessages);
+      } else {
+        try {
+          await sink.send(buildSummaryFlexMessages(chatSummaries, persona, title));
+        } catch (flexError) {
+          console.error('Error sending Flex summary, falling back to plain text:', flexError.message);
+          await sink.send(textMessages);
+        }
+      }
+
+      // Only advance watermarks for chats whose summaries were actually delivered
+      await advanceSummaryCursors(requesterId, summarizedCursors);
+
+      try {
+        await saveSummaryRecords(summaryRecords);
+      } catch (recordError) {
+        console.error('Error saving summary records:', recordError);
+      }
+      await reportProgress(batchNumber);
+    }
+
+    if (chatIndex < batchEnd) {
+      console.log(`Stopping at chat ${chatIndex + 1}/${totalChats} to finish before the deadline`);
+      const resumeAfter = chatSummaries.length > 0 ? Date.now() + 60000 : null; // the RPM delay still applies
+      return { summarizedChats, processedChats, nextChatIndex: chatIndex, resumeAfter };
+    }
+
+    // Add a 1-minute delay between batches to respect RPM limits
+    if (chatSummaries.length > 0 && batchEnd < totalChats) {
+      if (!hasTimeFor(60000)) {
+        console.log(`Stopping after batch ${batchNumber}/${totalBatches} to finish before the deadline`);
+        return { summarizedChats, processedChats, nextChatIndex: batchEnd, resumeAfter: Date.now() + 60000 };
+      }
+      console.log(`Waiting 1 minute (60 seconds) before processing next batch to respect RPM limits...`);
+      await new Promise(resolve => setTimeout(resolve, 60000)); // 60 seconds = 1 minute
+    }
+  }
+
+  console.log(`Completed processing all ${totalChats} chats`);
+  return { summarizedChats, processedChats, nextChatIndex: null, resumeAfter: null };
+}
+
+// Function to parse the arguments of /summarize: an optional scope followed by an optional window
+// e.g. "", "here 3h", "all today", "last 200"
+// Returns null if the arguments are not understood
+function parseSummarizeArgs(argsText, now = new Date()) {
+  // Default to the current chat so a bare /summarize never exposes other chats
+  let args = argsText.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  let scope = 'here';
+  if (['here', 'all'].includes(args[0])) {
+    scope = args[0];
+    args = args.slice(1);
+  }
+
+  const summaryWindow = parseSummaryWindow(args, now);
+  if (!summaryWindow) return null;
+  return {
+    scope: scope,
+    summaryWindow: summaryWindow
+  };
+}
+
+// Function to parse the window arguments of /summarize
+// Supported: (none) since your last summary, "3h" / "45m" / "2d", "since 09:00", "since yesterday 9am", "today", "last 200"
+// Returns null if the arguments are not understood
+function parseSummaryWindow(args, now = new Date()) {
+  if (args.length === 0) {
+    return { type: 'sinceLastSummary', label: null };
+  }
+
+  const joined = args.join(' ');
+
+  // Relative duration, e.g. "3h", "90m", "2d"
+  const durationMatch = joined.match(/^(\d+)\s*(m|min|mins|h|hr|hrs|d|day|days)$/);
+  if (durationMatch) {
+    const amount = parseInt(durationMatch[1], 10);
+    const unit = durationMatch[2][0];
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[unit];
+    const unitName = { m: 'minute', h: 'hour', d: 'day' }[unit];
+    if (amount <= 0) return null;
+    return {
+      type: 'since',
+      start: new Date(now.getTime() - amount * unitMs),
+      label: `last ${amount} ${unitName}${amount === 1 ? '' : 's'}`
+    };
+  }
+
+  if (joined === 'today') {
+    return { type: 'since', start: getZonedDateTime(now, 0, 0, 0), label: 'today' };
+  }
+
+  // Message count, e.g. "last 200"
+  const countMatch = joined.match(/^last\s+(\d+)$/);
+  if (countMatch) {
+    const count = parseInt(countMatch[1], 10);
+    if (count <= 0) return null;
+    return { type: 'last', count: count, label: `last ${count} messages` };
+  }
+
+  // Clock time, e.g. "since 09:00", "since 9am", "since yesterday 21:30"
+  const sinceMatch = joined.match(/^since\s+(yesterday\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (sinceMatch) {
+    let hours = parseInt(sinceMatch[2], 10);
+    const minutes = sinceMatch[3] ? parseInt(sinceMatch[3], 10) : 0;
+    const meridiem = sinceMatch[4];
+    if (!sinceMatch[3] && !meridiem) return null; // A bare number is ambiguous
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) return null;
+
+    let daysAgo = sinceMatch[1] ? 1 : 0;
+    let start = getZonedDateTime(now, daysAgo, hours, minutes);
+    // "since 21:00" typed in the morning means yesterday evening
+    if (!sinceMatch[1] && start > now) {
+      daysAgo = 1;
+      start = getZonedDateTime(now, daysAgo, hours, minutes);
+    }
+    const clock = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    return { type: 'since', start: start, label: `since ${daysAgo ? 'yesterday ' : ''}${clock}` };
+  }
+
+  return null;
+}
+
+// Function to get the wall-clock date and time of a Date in SUMMARY_TIMEZONE, as { year, month, day, hour, minute, second }
+function getZonedParts(date) {
+  return Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: SUMMARY_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, parseInt(part.value, 10)])
+  );
+}
+
+// Function to get a wall-clock date and time in SUMMARY_TIMEZONE as a Date (month is 1-12, days may overflow)
+function getZonedDate(year, month, day, hours, minutes, seconds = 0) {
+  // Treat the wanted wall-clock time as UTC, then correct by the zone's offset at that moment
+  const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const wall = getZonedParts(new Date(guess));
+  const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return new Date(guess - (wallAsUtc - guess));
+}
+
+// Function to get a wall-clock time in SUMMARY_TIMEZONE, `daysAgo` days before `now`, as a Date
+function getZonedDateTime(now, daysAgo, hours, minutes) {
+  const today = getZonedParts(now);
+  return getZonedDate(today.year, today.month, today.day - daysAgo, hours, minutes);
+}
+
+// Function to get the persona a summary should focus on: the requesting user's stored profile,
+// falling back to their LINE display name when they haven't set one with /profile
+async function getSummaryPersona(userId, fallbackDisplayName) {
+  let profile = {};
+  try {
+    const profileDoc = await db.collection('profiles').doc(userId).get();
+    if (profileDoc.exists) {
+      profile = profileDoc.data();
+    }
+  } catch (error) {
+    console.error(`Error getting profile for user ${userId}:`, error);
+  }
+
+  const displayName = profile.displayName || fallbackDisplayName || 'the user';
+  const aliases = profile.aliases && profile.aliases.length > 0
+    ? profile.aliases
+    : [`@${displayName}`, displayName];
+
+  return {
+    displayName: displayName,
+    aliases: aliases,
+    summaryStyle: SUMMARY_STYLES[profile.summaryStyle] ? profile.summaryStyle : 'standard',
+    summaryFormat: SUMMARY_FORMATS.includes(profile.summaryFormat) ? profile.summaryFormat : 'flex'
+  };
+}
+
+// Function to format a persona's aliases for the summary prompt, e.g. "@kla, กล้า, or kla"
+function formatPersonaAliases(persona) {
+  const aliases = persona.aliases;
+  if (aliases.length === 1) return aliases[0];
+  return `${aliases.slice(0, -1).join(', ')}, or ${aliases[aliases.length - 1]}`;
+}
+
+// Function to get the prompt instruction for a persona's preferred summary style (empty for the standard style)
+function getSummaryStyleInstruction(persona) {
+  const instruction = SUMMARY_STYLES[persona.summaryStyle];
+  return instruction ? `${instruction}\n` : '';
+}
+
+// Function to handle the /profile command
+// /profile                       - show your profile
+// /profile name <name>           - set the name summaries focus on
+// /profile aliases <a>, <b>, ... - set the names/handles you are mentioned by (any language)
+// /profile style <style>         - set your preferred summary style
+// /profile format <flex|text>    - set how summaries are displayed (text for clients without Flex support)
+async function handleProfileCommand(event, args) {
+  const userId = event.source.userId;
+  const profileRef = db.collection('profiles').doc(userId);
+  const usage = `Usage:\n/profile name <your name>\n/profile aliases <alias1>, <alias2>, ...\n/profile style <${Object.keys(SUMMARY_STYLES).join('|')}>\n/profile format <${SUMMARY_FORMATS.join('|')}>`;
+
+  const [field, ...rest] = args.trim().split(/\s+/);
+  const value = rest.join(' ').trim();
+
+  if (!field) {
+    const profileDoc = await profileRef.get();
+    const profile = profileDoc.exists ? profileDoc.data() : {};
+    const text = `👤 Your summary profile\n\nName: ${profile.displayName || '(LINE display name)'}\nAliases: ${(profile.aliases || []).join(', ') || '(name and @name)'}\nStyle: ${profile.summaryStyle || 'standard'}\nFormat: ${profile.summaryFormat || 'flex'}\n\n${usage}`;
+    return client.replyMessage(event.replyToken, { type: 'text', text: text });
+  }
+
+  const update = { userId: userId, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  switch (field.toLowerCase()) {
+    case 'name':
+      if (!value) break;
+      update.displayName = value;
+      break;
+    case 'aliases':
+    case 'alias': {
+      const aliases = [...new Set(value.split(',').map(alias => alias.trim()).filter(Boolean))];
+      if (aliases.length === 0) break;
+      update.aliases = aliases;
+      break;
+    }
+    case 'style':
+      if (!SUMMARY_STYLES.hasOwnProperty(value.toLowerCase())) break;
+      update.summaryStyle = value.toLowerCase();
+      break;
+    case 'format':
+      if (!SUMMARY_FORMATS.includes(value.toLowerCase())) break;
+      update.summaryFormat = value.toLowerCase();
+      break;
+  }
+
+  if (Object.keys(update).length === 2) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: `Sorry, I didn't understand that /profile command.\n\n${usage}` });
+  }
+
+  await profileRef.set(update, { merge: true });
+  console.log(`Profile updated for ${userId}:`, update);
+  return client.replyMessage(event.replyToken, { type: 'text', text: '✅ Profile updated. Your next /summarize will use it.' });
+}
+
+// Function to choose the message source for a /summarize command
+// Returns null when there are no stored messages at all
+async function selectSummarySource(summarizeCommand, eventSource) {
+  // Only summarize the chat the command was sent from
+  if (summarizeCommand.scope === 'here') {
+    const chatsId = getSourceChatId(eventSource);
+    console.log(`Summarizing current chat only: ${chatsId}`);
+    return createChatDocsSource([chatsId]);
+  }
+
+  // Owner-only: every chat the bot is still in; results go to the owner's 1:1 chat
+  const anyChatSnapshot = await db.collection('chats').limit(1).get();
+  if (anyChatSnapshot.empty) {
+    // Try alternative approach - check if there are any messages at all
+    console.log('No chats found, trying alternative query...');
+    const messagesSnapshot = await db.collectionGroup('messages').limit(MESSAGE_PAGE_SIZE).get();
+    console.log(`Found ${messagesSnapshot.size} messages in collection group`);
+    if (messagesSnapshot.empty) return null;
+
+    // Group messages by chatId
+    const chatGroups = {};
+    messagesSnapshot.docs.forEach(doc => {
+      const data = doc.data();
+      const chatId = data.chatsId;
+      if (!chatId) return;
+      if (!chatGroups[chatId]) {
+        chatGroups[chatId] = [];
+      }
+      chatGroups[chatId].push(data);
+    });
+
+    console.log(`Found messages in ${Object.keys(chatGroups).length} chats:`, Object.keys(chatGroups));
+    return createCollectionGroupSource(chatGroups);
+  }
+
+  // A time window only needs the chats that were active during it
+  if (summarizeCommand.summaryWindow.type === 'since') {
+    return createTimeWindowSource(summarizeCommand.summaryWindow.start);
+  }
+
+  // Chats the bot has left can't be read from anymore, so they're not summarized
+  const allChatsSnapshot = await db.collection('chats').get();
+  const activeChatIds = allChatsSnapshot.docs
+    .filter(doc => doc.data().status !== 'left')
+    .map(doc => doc.id);
+  console.log(`Found ${allChatsSnapshot.size} chats, ${activeChatIds.length} still active`);
+  return createChatDocsSource(activeChatIds);
+}
+
+// Function to check whether `/summarize all` is allowed from this event source
+// Only a bot owner may request it, and only from their 1:1 chat with the bot
+function canSummarizeAllChats(source, roles) {
+  return roles.includes('owner') && source.type === 'user';
+}
+
+// Function to get the Firestore reference of a user's "last summarized" watermark for a chat
+function getSummaryCursorRef(chatId, userId) {
+  return db.collection('chats')
+    .doc(chatId)
+    .collection('summaryCursors')
+    .doc(userId);
+}
+
+// Function to get the last summarized timestamp of a chat for the requesting user
+async function getSummaryCursor(chatId, userId) {
+  try {
+    const cursorDoc = await getSummaryCursorRef(chatId, userId).get();
+    if (cursorDoc.exists) {
+      return cursorDoc.data().lastSummarizedAt || null;
+    }
+    return null;
+  } catch (error) {
+    console.error(`Error getting summary cursor for chat ${chatId}:`, error);
+    return null;
+  }
+}
+
+// Function to get the send time of the newest message in a list of stored messages
+function getLatestMessageTimestamp(messages) {
+  let latest = null;
+  for (const msg of messages) {
+    const sentAt = getMessageSentAt(msg);
+    if (sentAt && (!latest || sentAt.toMillis() > latest.toMillis())) {
+      latest = sentAt;
+    }
+  }
+  return latest || admin.firestore.Timestamp.now();
+}
+
+// Function to advance the requesting user's watermarks for the chats included in a delivered summary
+async function advanceSummaryCursors(userId, cursors) {
+  if (cursors.length === 0) return;
+
+  const batch = db.batch();
+  cursors.forEach(({ chatId, timestamp }) => {
+    batch.set(getSummaryCursorRef(chatId, userId), {
+      chatId: chatId,
+      userId: userId,
+      lastSummarizedAt: timestamp,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  });
+
+  await batch.commit();
+  console.log(`Advanced summary cursors for ${cursors.length} chats (user ${userId})`);
+}
+
+// --- BACKGROUND SUMMARY JOBS ---
+// /summarize enqueues a job in the `summaryJobs` collection and returns right away, so the webhook never waits on Gemini.
+// A worker (runSummaryJob) claims the job, runs the summary pipeline, pushes the results to the chat and records
+// progress and per-chat failures on the job document:
+// { status: 'queued' | 'running' | 'completed' | 'failed', requesterId, requesterName, source, chatsId, scope,
+//   summaryWindow, totalChats, processedChats, summarizedChats, batchNumber, totalBatches, failures, error,
+//   chatIds, nextChatIndex, resumeAfter, ... }
+// Where a run can only last SUMMARY_JOB_RUN_TIME_LIMIT_MS (Firebase Functions), a job that doesn't fit is split:
+// the run stops in time, puts the job back in the queue with the chats it fixed on its first run (chatIds) and where
+// to continue (nextChatIndex), and scheduleSummaryJobRun starts the next run.
+
+// Function to get a user-facing message for an error that stopped a summary
+function getSummaryErrorMessage(error) {
+  // Provide more specific error messages
+  if (error.message && error.message.includes('Rate limit exceeded')) {
+    return '⏰ I\'m currently rate limited by the AI service. Please wait a moment and try again in a few minutes.';
+  } else if (error.message && error.message.includes('quota')) {
+    return '📊 I\'ve reached my daily quota limit for AI requests. Please try again tomorrow.';
+  } else if (error.message && error.message.includes('429')) {
+    return '🚦 Too many requests at once. Please wait a moment before trying again.';
+  }
+  return 'Sorry, I encountered an error while generating the summary.';
+}
+
+// Functions to store a summary window on a job document and read it back (Dates become Firestore timestamps)
+function serializeSummaryWindow(summaryWindow) {
+  return {
+    ...summaryWindow,
+    start: summaryWindow.start ? admin.firestore.Timestamp.fromDate(summaryWindow.start) : null
+  };
+}
+
+function deserializeSummaryWindow(data) {
+  return {
+    ...data,
+    start: data.start ? data.start.toDate() : null
+  };
+}
+
+// Function to get the reference of the pointer to a user's latest summary job in a chat (used by /status)
+function getLatestSummaryJobRef(chatsId, userId) {
+  return db.collection('latestSummaryJobs').doc(`${chatsId}_${userId}`);
+}
+
+// Function to get a user's latest summary job in a chat, or null
+async function getLatestSummaryJob(chatsId, userId) {
+  const pointerDoc = await getLatestSummaryJobRef(chatsId, userId).get();
+  if (!pointerDoc.exists) return null;
+
+  const jobDoc = await db.collection('summaryJobs').doc(pointerDoc.data().jobId).get();
+  return jobDoc.exists ? { id: jobDoc.id, ...jobDoc.data() } : null;
+}
+
+// Function to check whether a queued or running summary job has stopped making progress (e.g. its worker was killed)
+function isSummaryJobStale(job) {
+  const updatedAt = job.updatedAt ? job.updatedAt.toMillis() : 0;
+  return Date.now() - updatedAt >= SUMMARY_JOB_STALE_MS;
+}
+
+// Function to enqueue a summary job for a /summarize command
+// If the user already has a queued or running job in this chat, that job is returned instead of starting another
+// (unless it has gone stale, in which case it is marked as failed and a new job takes its place)
+// The event's reply token is handed to the job, so a summary that is ready quickly can still be sent as a reply
+async function enqueueSummaryJob(event, summarizeCommand, requesterName) {
+  const eventSource = event.source;
+  const chatsId = getSourceChatId(eventSource);
+
+  const activeJob = await getLatestSummaryJob(chatsId, eventSource.userId);
+  if (activeJob && ['queued', 'running'].includes(activeJob.status)) {
+    if (!isSummaryJobStale(activeJob)) {
+      return { job: activeJob, alreadyActive: true };
+    }
+    console.log(`Summary job ${activeJob.id} has been ${activeJob.status} without progress, marking it as failed`);
+    await db.collection('summaryJobs').doc(activeJob.id).update({
+      status: 'failed',
+      error: 'Timed out without progress',
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  const jobRef = db.collection('summaryJobs').doc();
+  const job = {
+    status: 'queued',
+    requesterId: eventSource.userId,
+    requesterName: requesterName,
+    source: {
+      type: eventSource.type,
+      userId: eventSource.userId,
+      groupId: eventSource.groupId || null,
+      roomId: eventSource.roomId || null
+    },
+    chatsId: chatsId,
+    replyToken: event.replyToken || null,
+    replyTokenIssuedAt: event.timestamp || Date.now(),
+    scope: summarizeCommand.scope,
+    summaryWindow: serializeSummaryWindow(summarizeCommand.summaryWindow),
+    totalChats: null,
+    processedChats: 0,
+    summarizedChats: 0,
+    batchNumber: 0,
+    totalBatches: null,
+    failures: [],
+    error: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await jobRef.set(job);
+  await getLatestSummaryJobRef(chatsId, eventSource.userId).set({
+    jobId: jobRef.id,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  console.log(`Summary job ${jobRef.id} queued for ${requesterName} (${summarizeCommand.scope})`);
+
+  if (RUN_SUMMARY_JOBS_IN_PROCESS) {
+    setImmediate(() => {
+      runSummaryJob(jobRef.id).catch(error => console.error(`Summary job ${jobRef.id} crashed:`, error));
+    });
+  }
+
+  return { job: { id: jobRef.id, ...job }, alreadyActive: false };
+}
+
+// Function to start another run of a queued summary job, e.g. to continue one that was split
+// In this process when RUN_SUMMARY_JOBS_IN_PROCESS, otherwise through a summaryJobRuns document (a Firestore trigger)
+async function scheduleSummaryJobRun(jobId) {
+  if (RUN_SUMMARY_JOBS_IN_PROCESS) {
+    setImmediate(() => {
+      runSummaryJob(jobId).catch(error => console.error(`Summary job ${jobId} crashed:`, error));
+    });
+    return;
+  }
+  await db.collection('summaryJobRuns').add({
+    jobId: jobId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Function to run a queued summary job: claim it, summarize, push the results and record the outcome
+async function runSummaryJob(jobId) {
+  const jobRef = db.collection('summaryJobs').doc(jobId);
+  const deadline = SUMMARY_JOB_RUN_TIME_LIMIT_MS ? Date.now() + SUMMARY_JOB_RUN_TIME_LIMIT_MS : null;
+
+  // Claim the job so it never runs twice (a running job that has gone stale may be taken over)
+  const job = await db.runTransaction(async transaction => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists) return null;
+    const status = jobDoc.data().status;
+    if (status !== 'queued' && !(status === 'running' && isSummaryJobStale(jobDoc.data()))) return null;
+    transaction.update(jobRef, {
+      status: 'running',
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return jobDoc.data();
+  });
+  if (!job) {
+    console.log(`Summary job ${jobId} is not queued or stale, skipping`);
+    return;
+  }
+
+  const isContinuation = Array.isArray(job.chatIds);
+  console.log(`Running summary job ${jobId} for ${job.requesterName}${isContinuation ? ` from chat ${job.nextChatIndex + 1}` : ''}`);
+  const sink = createLineDelivery(client, {
+    targetId: job.chatsId,
+    replyToken: job.replyToken,
+    replyTokenIssuedAt: job.replyTokenIssuedAt
+  });
+  const summaryWindow = deserializeSummaryWindow(job.summaryWindow);
+
+  // Last resort if a single chat takes longer than the deadline allowed for: fail the job and tell the user before
+  // the run is killed, instead of leaving it 'running' until it goes stale
+  let timedOut = false;
+  const watchdog = deadline ? setTimeout(async () => {
+    timedOut = true;
+    console.error(`Summary job ${jobId} is about to hit its time limit, marking it as failed`);
+    try {
+      await jobRef.update({
+        status: 'failed',
+        error: 'Timed out',
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await sink.send([{ type: 'text', text: '⏰ Sorry, your summary took too long and was stopped. Please try /summarize again with a shorter window.' }]);
+    } catch (error) {
+      console.error(`Error reporting the time-out of summary job ${jobId}:`, error);
+    }
+  }, Math.max(0, deadline - Date.now() - SUMMARY_JOB_WATCHDOG_MARGIN_MS)) : null;
+
+  try {
+    // A continued run waits out the RPM delay the previous run stopped before
+    const waitMs = job.resumeAfter ? job.resumeAfter.toMillis() - Date.now() : 0;
+    if (waitMs > 0) {
+      console.log(`Waiting ${Math.ceil(waitMs / 1000)} seconds before continuing summary job ${jobId}...`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    // Build the summary focus for whoever ran the command
+    const persona = await getSummaryPersona(job.requesterId, job.requesterName);
+    console.log(`Summary persona: ${persona.displayName} (${persona.aliases.length} aliases, style: ${persona.summaryStyle})`);
+
+    // Pick where the messages come from: the current chat only, or (owner-only) every chat the bot has seen
+    // A continued run keeps the chats its first run picked, so the numbering stays the same
+    const source = isContinuation
+      ? createChatDocsSource(job.chatIds)
+      : await selectSummarySource({ scope: job.scope, summaryWindow: summaryWindow }, job.source);
+    if (!source) {
+      await sink.send([{ type: 'text', text: 'No messages found in database. Try sending some messages first!' }]);
+      await jobRef.update({
+        status: 'completed',
+        totalChats: 0,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return;
+    }
+
+    const chats = await source.listChats();
+    const failures = [];
+    const result = await runSummaryPipeline({
+      source: { name: source.name, listChats: async () => chats },
+      sink: sink,
+      summaryWindow: summaryWindow,
+      persona: persona,
+      requesterId: job.requesterId,
+      batchSize: 15, // Process 15 chats per batch (matches Gemini RPM limit)
+      onProgress: progress => jobRef.update({
+        ...progress,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }),
+      onChatFailed: (chatId, error) => {
+        failures.push(chatId);
+        return jobRef.update({
+          failures: admin.firestore.FieldValue.arrayUnion({ chatId: chatId, error: error.message || String(error) }),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      },
+      startIndex: isContinuation ? job.nextChatIndex : 0,
+      progress: {
+        summarizedChats: isContinuation ? job.summarizedChats : 0,
+        processedChats: isContinuation ? job.processedChats : 0
+      },
+      deadline: deadline
+    });
+    if (timedOut) return;
+
+    if (result.nextChatIndex !== null) {
+      await jobRef.update({
+        status: 'queued',
+        chatIds: chats.map(chat => chat.chatId),
+        nextChatIndex: result.nextChatIndex,
+        resumeAfter: result.resumeAfter ? admin.firestore.Timestamp.fromMillis(result.resumeAfter) : null,
+        replyToken: null, // used up (or expired) by the time the next run starts
+        summarizedChats: result.summarizedChats,
+        processedChats: result.processedChats,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await scheduleSummaryJobRun(jobId);
+      console.log(`Summary job ${jobId} continues from chat ${result.nextChatIndex + 1}/${chats.length} in another run`);
+      return;
+    }
+
+    const summarizedChats = result.summarizedChats;
+    const failureCount = (job.failures || []).length + failures.length;
+    if (summarizedChats === 0 && failureCount === 0) {
+      const where = job.scope === 'here' ? 'in this chat' : 'in any chat';
+      await sink.send([{
+        type: 'text',
+        text: summaryWindow.label
+          ? `No messages to summarize ${where} (${summaryWindow.label}).`
+          : `No new messages to summarize ${where}.`
+      }]);
+    } else if (failureCount > 0) {
+      await sink.send([{
+        type: 'text',
+        text: `⚠️ ${failureCount} chat${failureCount === 1 ? '' : 's'} could not be summarized. Please try /summarize again later.`
+      }]);
+    }
+
+    await jobRef.update({
+      status: 'completed',
+      summarizedChats: summarizedChats,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`Summary job ${jobId} completed: ${summarizedChats} chats summarized, ${failureCount} failed`);
+  } catch (error) {
+    if (timedOut) return;
+    console.error(`Summary job ${jobId} failed:`, error);
+    await jobRef.update({
+      status: 'failed',
+      error: error.message || String(error),
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    try {
+      await sink.send([{ type: 'text', text: getSummaryErrorMessage(error) }]);
+    } catch (pushError) {
+      console.error(`Error reporting failure of summary job ${jobId}:`, pushError);
+    }
+  } finally {
+    if (watchdog) clearTimeout(watchdog);
+  }
+}
+
+// Function to pick up summary jobs left behind by a restart: running jobs are requeued, then every queued job is run
+async function resumeSummaryJobs() {
+  const runningSnapshot = await db.collection('summaryJobs').where('status', '==', 'running').get();
+  for (const jobDoc of runningSnapshot.docs) {
+    console.log(`Requeueing interrupted summary job ${jobDoc.id}`);
+    await jobDoc.ref.update({ status: 'queued', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+
+  const queuedSnapshot = await db.collection('summaryJobs').where('status', '==', 'queued').get();
+  console.log(`Resuming ${queuedSnapshot.size} queued summary jobs`);
+  for (const jobDoc of queuedSnapshot.docs) {
+    await runSummaryJob(jobDoc.id);
+  }
+}
+
+// Function to describe a summary job's progress for /status
+function formatSummaryJobStatus(job) {
+  const failures = job.failures || [];
+  const failureText = failures.length > 0 ? `\n⚠️ ${failures.length} chat${failures.length === 1 ? '' : 's'} failed` : '';
+  const windowText = job.summaryWindow?.label || 'since last summary';
+
+  switch (job.status) {
+    case 'queued':
+      return job.processedChats > 0
+        ? `⏳ Your summary (${job.scope}, ${windowText}) is running.\n${job.processedChats}/${job.totalChats} chats processed, ${job.summarizedChats} delivered so far; continuing shortly.${failureText}`
+        : `🕐 Your summary (${job.scope}, ${windowText}) is queued and will start shortly.`;
+    case 'running': {
+      const chatsText = job.totalChats === null || job.totalChats === undefined
+        ? 'Looking up chats...'
+        : `${job.processedChats}/${job.totalChats} chats processed`;
+      const batchText = job.totalBatches > 1 ? ` (batch ${Math.max(job.batchNumber, 1)}/${job.totalBatches})` : '';
+      return `⏳ Your summary (${job.scope}, ${windowText}) is running.\n${chatsText}${batchText}, ${job.summarizedChats} delivered so far.${failureText}`;
+    }
+    case 'completed':
+      return `✅ Your last summary (${job.scope}, ${windowText}) finished: ${job.summarizedChats} chat${job.summarizedChats === 1 ? '' : 's'} summarized.${failureText}`;
+    case 'failed':
+      return `❌ Your last summary (${job.scope}, ${windowText}) failed: ${job.error || 'unknown error'}${failureText}`;
+    default:
+      return `Your last summary is ${job.status}.`;
+  }
+}
+
+// Function to handle the /status command: report how far the user's latest summary job in this chat has gotten
+async function handleStatusCommand(event) {
+  const chatsId = getSourceChatId(event.source);
+  const job = await getLatestSummaryJob(chatsId, event.source.userId);
+  const text = job
+    ? formatSummaryJobStatus(job)
+    : 'You haven\'t requested a summary in this chat yet. Send /summarize to start one.';
+  return client.replyMessage(event.replyToken, { type: 'text', text: text });
+}
+
+// --- ACTION-ITEM TRACKER ---
+// Action items extracted by summaries are stored in the `tasks` collection, one document per task:
+// { chatId, chatName, description, assignee, assigneeKey, assigneeUserId, dueDate, sourceMessage, sourceMessageId,
+//   status: 'open' | 'done', summaryId, createdAt, completedAt, completedBy }
+
+// Function to normalize a person's name or @handle for task lookups
+function normalizeAssigneeName(name) {
+  return (name || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+// Function to find the LINE messageId of the stored message an action item was quoted from
+function findSourceMessageId(messages, sourceMessage) {
+  if (!sourceMessage) return null;
+  const exact = messages.find(msg => formatMessageForPrompt(msg) === sourceMessage);
+  if (exact) return exact.messageId || null;
+
+  // Fall back to the last message whose text appears in the quote (or vice versa)
+  const quotedText = sourceMessage.includes(': ') ? sourceMessage.slice(sourceMessage.indexOf(': ') + 2) : sourceMessage;
+  const partial = messages
+    .filter(msg => msg.text && (quotedText.includes(msg.text) || msg.text.includes(quotedText)))
+    .pop();
+  return partial ? partial.messageId || null : null;
+}
+
+// Function to turn an action item from a structured summary into a task document
+function buildTaskFromActionItem(item, { chatId, chatName, requesterId, messages }) {
+  return {
+    chatId: chatId,
+    chatName: chatName,
+    description: item.description,
+    assignee: item.assignee,
+    assigneeKey: normalizeAssigneeName(item.assignee),
+    // Items for the focus user belong to whoever requested the summary
+    assigneeUserId: item.assignedToFocusUser ? requesterId : null,
+    dueDate: item.dueDate || null,
+    sourceMessage: item.sourceMessage,
+    sourceMessageId: findSourceMessageId(messages, item.sourceMessage),
+    status: 'open'
+  };
+}
+
+// Function to add new tasks to a write batch, skipping tasks that an earlier summary already recorded
+// Task IDs are derived from the chat, source message and description, so overlapping summary windows don't duplicate them
+async function addTasksToBatch(batch, tasks, summaryId) {
+  if (tasks.length === 0) return;
+
+  const taskRefs = tasks.map(task => db.collection('tasks').doc(
+    crypto.createHash('sha1')
+      .update([task.chatId, task.sourceMessageId || task.sourceMessage, task.assigneeKey, task.description.toLowerCase()].join('|'))
+      .digest('hex')
+  ));
+  const existing = await db.getAll(...taskRefs);
+
+  tasks.forEach((task, index) => {
+    if (existing[index].exists) return;
+    batch.set(taskRefs[index], {
+      ...task,
+      summaryId: summaryId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+}
+
+// Function to get the open tasks of a chat, oldest first
+async function getOpenTasksForChat(chatId) {
+  try {
+    const tasksSnapshot = await db.collection('tasks')
+      .where('chatId', '==', chatId)
+      .where('status', '==', 'open')
+      .get();
+    return sortTasks(tasksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  } catch (error) {
+    console.error(`Error getting open tasks for chat ${chatId}:`, error);
+    return [];
+  }
+}
+
+// Function to map the T1, T2, ... references returned by the model back to open tasks
+function resolveTaskRefs(taskRefs, openTasks) {
+  const resolved = new Map();
+  (taskRefs || []).forEach(ref => {
+    const index = parseInt(String(ref).replace(/^T/i, ''), 10) - 1;
+    if (openTasks[index]) {
+      resolved.set(openTasks[index].id, openTasks[index]);
+    }
+  });
+  return [...resolved.values()];
+}
+
+// Function to sort tasks oldest first (stable numbering for /todo and /done)
+function sortTasks(tasks) {
+  return tasks.sort((a, b) => {
+    const timeA = a.createdAt?.toMillis?.() || 0;
+    const timeB = b.createdAt?.toMillis?.() || 0;
+    return timeA - timeB || a.id.localeCompare(b.id);
+  });
+}
+
+// Function to get the IDs of the chats a user can see: their 1:1 chat and every group that lists them as a member
+async function getVisibleChatIds(userId) {
+  const chatsSnapshot = await db.collection('chats').where('members', 'array-contains', userId).get();
+  return new Set([userId, ...chatsSnapshot.docs.map(doc => doc.id)]);
+}
+
+// Function to get the open tasks assigned to a user (by userId or by any of their names) or to a name
+// In a group, only tasks from that group are returned so /todo never leaks other chats; elsewhere, pass the chats the
+// requester can see as visibleChatIds (tasks assigned to userId itself are always included)
+async function getOpenTasksForAssignee({ userId = null, names = [], chatId = null, visibleChatIds = null }) {
+  const queries = [];
+  const openTasks = db.collection('tasks').where('status', '==', 'open');
+  if (userId) {
+    queries.push(openTasks.where('assigneeUserId', '==', userId));
+  }
+  const keys = [...new Set(names.map(normalizeAssigneeName).filter(Boolean))].slice(0, 10); // Firestore 'in' limit
+  if (keys.length > 0) {
+    queries.push(openTasks.where('assigneeKey', 'in', keys));
+  }
+
+  const tasksById = new Map();
+  for (const query of queries) {
+    const snapshot = await query.get();
+    snapshot.docs.forEach(doc => tasksById.set(doc.id, { id: doc.id, ...doc.data() }));
+  }
+
+  const tasks = [...tasksById.values()]
+    .filter(task => !chatId || task.chatId === chatId)
+    .filter(task => !visibleChatIds || (userId && task.assigneeUserId === userId) || visibleChatIds.has(task.chatId));
+  return sortTasks(tasks);
+}
+
+// Function to get the reference of the last /todo listing a user saw in a chat (used to number /done)
+function getTodoListingRef(chatId, userId) {
+  return db.collection('todoListings').doc(`${chatId}_${userId}`);
+}
+
+// Function to get a user's display name for the chat an event came from
+async function getSourceDisplayName(source) {
+  try {
+    return await getCachedDisplayName(source, source.userId);
+  } catch (error) {
+    console.error('Error getting user profile:', error);
+    return null;
+  }
+}
+
+// Function to handle the /todo command
+// /todo        - list your open tasks (in a group: only this group's tasks)
+// /todo @name  - list someone else's open tasks
+// In a 1:1 chat, tasks are listed from every chat the requester is a member of
+async function handleTodoCommand(event, args) {
+  const userId = event.source.userId;
+  const chatId = getSourceChatId(event.source);
+  const scopeChatId = event.source.type !== 'user' ? chatId : null;
+  const visibleChatIds = scopeChatId ? null : await getVisibleChatIds(userId);
+  const name = args.trim();
+
+  let tasks;
+  let title;
+  if (name) {
+    tasks = await getOpenTasksForAssignee({ names: [name], chatId: scopeChatId, visibleChatIds: visibleChatIds });
+    title = `📋 Open tasks for ${name.replace(/^@/, '')}`;
+  } else {
+    const persona = await getSummaryPersona(userId, await getSourceDisplayName(event.source));
+    tasks = await getOpenTasksForAssignee({
+      userId: userId,
+      names: [persona.displayName, ...persona.aliases],
+      chatId: scopeChatId,
+      visibleChatIds: visibleChatIds
+    });
+    title = '📋 Your open tasks';
+  }
+
+  // Remember the numbering so /done <n> closes the task the user saw
+  await getTodoListingRef(chatId, userId).set({
+    chatId: chatId,
+    userId: userId,
+    taskIds: tasks.map(task => task.id),
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  if (tasks.length === 0) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: `${title}\n\nNothing open 🎉` });
+  }
+
+  const lines = tasks.map((task, index) => {
+    const chatLabel = scopeChatId ? '' : ` [${task.chatName}]`;
+    const due = task.dueDate ? ` (due ${task.dueDate})` : '';
+    return `${index + 1}. ${name ? '' : `${task.assignee}: `}${task.description}${due}${chatLabel}`;
+  });
+  const text = `${title}\n\n${lines.join('\n')}\n\nUse /done <number> to close a task.`;
+  const messages = splitIntoMessages(text).slice(0, 5).map(part => ({ type: 'text', text: part }));
+  return client.replyMessage(event.replyToken, messages);
+}
+
+// Function to handle the /done <n> command: close task number n of the user's last /todo listing in this chat
+async function handleDoneCommand(event, args) {
+  const userId = event.source.userId;
+  const chatId = getSourceChatId(event.source);
+  const number = parseInt(args.trim(), 10);
+
+  const listingDoc = await getTodoListingRef(chatId, userId).get();
+  const taskIds = listingDoc.exists ? listingDoc.data().taskIds : [];
+  if (!Number.isInteger(number) || number < 1 || number > taskIds.length) {
+    const text = taskIds.length > 0
+      ? `Please pick a task number between 1 and ${taskIds.length}, e.g. /done 1`
+      : 'Run /todo first to see your open tasks, then /done <number> to close one.';
+    return client.replyMessage(event.replyToken, { type: 'text', text: text });
+  }
+
+  const taskRef = db.collection('tasks').doc(taskIds[number - 1]);
+  const taskDoc = await taskRef.get();
+  if (!taskDoc.exists) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: 'That task no longer exists. Run /todo to refresh the list.' });
+  }
+
+  const task = taskDoc.data();
+  if (task.status === 'done') {
+    return client.replyMessage(event.replyToken, { type: 'text', text: `Task ${number} is already done: ${task.description}` });
+  }
+
+  await taskRef.update({
+    status: 'done',
+    completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    completedBy: userId
+  });
+  console.log(`Task ${taskRef.id} closed by ${userId}`);
+  return client.replyMessage(event.replyToken, { type: 'text', text: `✅ Done: ${task.description}` });
+}
+
+// --- PROFILE CACHE ---
+// Display names and group names are cached so handling a message doesn't cost a LINE API call or two.
+// Entries live in memory (LRU) and in the `lineProfileCache` collection, so they survive restarts and
+// cold starts, and expire after PROFILE_CACHE_TTL_MS. Keys: user_{userId}, member_{groupId or roomId}_{userId}, group_{groupId}.
+// LINE has no group-rename event, so group names are refreshed on membership events and when they expire.
+const PROFILE_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const PROFILE_CACHE_MAX_ENTRIES = 1000;
+
+// Least-recently-used cache over a Map (a Map iterates in insertion order, so the first key is the oldest)
+class LruCache {
+  constructor(maxEntries = 100) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    // Move the entry to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+const lineProfileCache = new LruCache(PROFILE_CACHE_MAX_ENTRIES);
+
+// Function to store a cached name in memory and in Firestore
+async function setCachedLineName(key, name) {
+  const entry = { name: name, expiresAt: Date.now() + PROFILE_CACHE_TTL_MS };
+  lineProfileCache.set(key, entry);
+  try {
+    await db.collection('lineProfileCache').doc(key).set({
+      name: name,
+      fetchedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(entry.expiresAt)
+    });
+  } catch (error) {
+    console.error(`Error saving ${key} to the profile cache:`, error);
+  }
+  return name;
+}
+
+// Function to drop a cached name, e.g. when a member leaves a group
+async function forgetCachedLineName(key) {
+  lineProfileCache.delete(key);
+  try {
+    await db.collection('lineProfileCache').doc(key).delete();
+  } catch (error) {
+    console.error(`Error removing ${key} from the profile cache:`, error);
+  }
+}
+
+// Function to get a name from the cache, calling fetchName (a LINE API call) only when it's missing or expired
+// If the LINE call fails, an expired name is still better than none
+async function getCachedLineName(key, fetchName) {
+  let staleName = null;
+
+  const memoryEntry = lineProfileCache.get(key);
+  if (memoryEntry) {
+    if (memoryEntry.expiresAt > Date.now()) return memoryEntry.name;
+    staleName = memoryEntry.name;
+  }
+
+  try {
+    const cacheDoc = await db.collection('lineProfileCache').doc(key).get();
+    if (cacheDoc.exists) {
+      const cached = cacheDoc.data();
+      const expiresAt = cached.expiresAt ? cached.expiresAt.toMillis() : 0;
+      if (expiresAt > Date.now()) {
+        lineProfileCache.set(key, { name: cached.name, expiresAt: expiresAt });
+        return cached.name;
+      }
+      staleName = staleName || cached.name;
+    }
+  } catch (error) {
+    console.error(`Error reading ${key} from the profile cache:`, error);
+  }
+
+  try {
+    return await setCachedLineName(key, await fetchName());
+  } catch (error) {
+    if (staleName) {
+      console.error(`Error refreshing ${key}, using the expired cached name:`, error);
+      return staleName;
+    }
+    throw error;
+  }
+}
+
+// Function to get the cache key of a user's display name in a group or room (memberChatId), or in a 1:1 chat when it's null
+function getDisplayNameCacheKey(memberChatId, userId) {
+  return memberChatId ? `member_${memberChatId}_${userId}` : `user_${userId}`;
+}
+
+// Function to get a user's display name in the group or room an event came from (or their profile name in a 1:1 chat), cached
+async function getCachedDisplayName(source, userId) {
+  return getCachedLineName(getDisplayNameCacheKey(source.groupId || source.roomId || null, userId), async () => {
+    let profile;
+    if (source.groupId) {
+      profile = await client.getGroupMemberProfile(source.groupId, userId);
+    } else if (source.roomId) {
+      profile = await client.getRoomMemberProfile(source.roomId, userId);
+    } else {
+      profile = await client.getProfile(userId);
+    }
+    return profile.displayName;
+  });
+}
+
+// Function to get a group's name, cached
+async function getCachedGroupName(groupId) {
+  return getCachedLineName(`group_${groupId}`, async () => {
+    const groupSummary = await client.getGroupSummary(groupId);
+    return groupSummary.groupName;
+  });
+}
+
+// Function to refresh the cache when members join or leave a group
+// Joined members' names are fetched right away, left members are forgotten, and the group name is re-read
+// since membership events are the closest thing LINE sends to a rename notification
+async function refreshProfileCacheForMemberEvent(event) {
+  const groupId = event.source.groupId;
+  if (!groupId) return;
+
+  const joinedMembers = event.type === 'memberJoined' ? event.joined.members : [];
+  const leftMembers = event.type === 'memberLeft' ? event.left.members : [];
+
+  for (const member of joinedMembers) {
+    try {
+      const profile = await client.getGroupMemberProfile(groupId, member.userId);
+      await setCachedLineName(getDisplayNameCacheKey(groupId, member.userId), profile.displayName);
+    } catch (error) {
+      console.error(`Error caching profile of new member ${member.userId}:`, error);
+    }
+  }
+
+  for (const member of leftMembers) {
+    await forgetCachedLineName(getDisplayNameCacheKey(groupId, member.userId));
+  }
+
+  try {
+    const groupSummary = await client.getGroupSummary(groupId);
+    await setCachedLineName(`group_${groupId}`, groupSummary.groupName);
+  } catch (error) {
+    console.error(`Error refreshing group name of ${groupId}:`, error);
+  }
+}
+
+// --- CHAT LIFECYCLE ---
+// follow/unfollow (1:1 chats), join/leave (groups and rooms) and memberJoined/memberLeft are recorded on
+// chats/{chatId}, where chatId is the group, room or user ID (see getSourceChatId):
+// { status: 'active' | 'left', joinedAt, leftAt, members: [userId, ...] }
+// Chats the bot has left are skipped by `/summarize all` and never receive push messages.
+
+// Function to get the ID of the chat an event came from: the group, the room (a multi-person chat) or the 1:1 user
+// Returns null when the source has none of them
+function getSourceChatId(source) {
+  return (source && (source.groupId || source.roomId || source.userId)) || null;
+}
+
+// Function to get the type of the chat an event came from: 'group', 'room' or 'user'
+function getSourceChatType(source) {
+  if (source.groupId) return 'group';
+  return source.roomId ? 'room' : 'user';
+}
+
+// Function to get when LINE received an event, as a Firestore timestamp
+function getEventTimestamp(event) {
+  return event.timestamp
+    ? admin.firestore.Timestamp.fromMillis(event.timestamp)
+    : admin.firestore.Timestamp.now();
+}
+
+// Function to check whether the bot is still in a chat (chats without a recorded status count as active)
+async function isChatActive(chatId) {
+  try {
+    const chatDoc = await db.collection('chats').doc(chatId).get();
+    return !chatDoc.exists || chatDoc.data().status !== 'left';
+  } catch (error) {
+    console.error(`Error checking status of chat ${chatId}:`, error);
+    return true;
+  }
+}
+
+// Function to build the welcome message sent when the bot is followed or added to a group
+function buildWelcomeMessage(chatsType) {
+  const intro = chatsType !== 'user'
+    ? "👋 Thanks for adding me! I'll quietly keep track of this group's messages so anyone can ask for a summary."
+    : "👋 Thanks for adding me! Add me to a group and I'll keep track of its messages so you can ask for a summary.";
+
+  const commandLines = COMMANDS
+    .filter(command => !command.roles.includes('owner'))
+    .map(command => `${command.usage} - ${command.description}`);
+  return {
+    type: 'text',
+    text: `${intro}\n\nCommands:\n${commandLines.join('\n')}\n\nSend /help <command> for details.`
+  };
+}
+
+// Function to record a lifecycle event on the chat document
+// Returns null, or the welcome reply for follow and join events
+async function handleLifecycleEvent(event) {
+  const chatsId = getSourceChatId(event.source);
+  if (!chatsId) {
+    console.log(`Ignoring ${event.type} event without a chat ID`);
+    return null;
+  }
+  const chatsType = getSourceChatType(event.source);
+  const chatDocRef = db.collection('chats').doc(chatsId);
+  const eventTime = getEventTimestamp(event);
+
+  switch (event.type) {
+    case 'follow':
+    case 'join': {
+      const chatData = {
+        chatsId: chatsId,
+        chatsType: chatsType,
+        status: 'active',
+        joinedAt: eventTime,
+        leftAt: null,
+        lastActivity: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (chatsType === 'group') {
+        try {
+          chatData.groupName = await getCachedGroupName(event.source.groupId);
+        } catch (groupError) {
+          console.error('Error getting group name:', groupError);
+        }
+      }
+      await chatDocRef.set(chatData, { merge: true });
+      console.log(`Bot ${event.type === 'join' ? 'joined' : 'was followed in'} ${chatsType} ${chatsId}`);
+      return client.replyMessage(event.replyToken, buildWelcomeMessage(chatsType));
+    }
+
+    case 'unfollow':
+    case 'leave':
+      await chatDocRef.set({
+        chatsId: chatsId,
+        chatsType: chatsType,
+        status: 'left',
+        leftAt: eventTime
+      }, { merge: true });
+      console.log(`Bot ${event.type === 'leave' ? 'left' : 'was unfollowed in'} ${chatsType} ${chatsId}`);
+      return null;
+
+    case 'memberJoined':
+    case 'memberLeft': {
+      const members = event.type === 'memberJoined' ? event.joined.members : event.left.members;
+      const userIds = members.filter(member => member.userId).map(member => member.userId);
+      if (userIds.length > 0) {
+        await chatDocRef.set({
+          chatsId: chatsId,
+          chatsType: chatsType,
+          members: event.type === 'memberJoined'
+            ? admin.firestore.FieldValue.arrayUnion(...userIds)
+            : admin.firestore.FieldValue.arrayRemove(...userIds)
+        }, { merge: true });
+      }
+      console.log(`${userIds.length} member(s) ${event.type === 'memberJoined' ? 'joined' : 'left'} ${chatsType} ${chatsId}`);
+
+      // Keep cached member and group names current as people join and leave
+      await refreshProfileCacheForMemberEvent(event);
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+// --- UNSEND AND PURGE ---
+// An unsent message keeps its document (so a late redelivery of the original event can't store it again) but loses
+// its content and is marked { unsent: true }, which keeps it out of summaries. /purge deletes a user's messages outright.
+
+// Function to handle an unsend event: blank out the stored message and mark it unsent
+async function handleUnsendEvent(event) {
+  const chatsId = getSourceChatId(event.source);
+  const messageId = event.unsend.messageId;
+  const messagesRef = db.collection('chats').doc(chatsId).collection('messages');
+  const unsentData = {
+    unsent: true,
+    unsentAt: getEventTimestamp(event),
+    text: null,
+    metadata: null
+  };
+
+  // Messages are stored under their LINE message ID; older ones have generated IDs and are found by field
+  const messageRef = messagesRef.doc(messageId);
+  const messageDoc = await messageRef.get();
+  if (messageDoc.exists) {
+    await messageRef.update(unsentData);
+    console.log(`Message ${messageId} in ${chatsId} was unsent`);
+    return null;
+  }
+
+  const legacySnapshot = await messagesRef.where('messageId', '==', messageId).get();
+  if (!legacySnapshot.empty) {
+    const batch = db.batch();
+    legacySnapshot.docs.forEach(doc => batch.update(doc.ref, unsentData));
+    await batch.commit();
+    console.log(`Message ${messageId} in ${chatsId} was unsent`);
+    return null;
+  }
+
+  // The unsend arrived before the message itself: leave a marker so the message is never stored
+  await messageRef.set({ messageId: messageId, chatsId: chatsId, userId: event.source.userId || null, ...unsentData });
+  console.log(`Message ${messageId} in ${chatsId} was unsent before it was stored`);
+  return null;
+}
+
+// Function to delete every stored message from one user in a chat
+// Returns the number of messages deleted
+async function purgeUserMessages(chatsId, userId) {
+  const messagesRef = db.collection('chats').doc(chatsId).collection('messages');
+  let deleted = 0;
+
+  while (true) {
+    const snapshot = await messagesRef.where('userId', '==', userId).limit(400).get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+
+  return deleted;
+}
+
+// Function to handle the /purge command (bot admins only): delete a user's stored messages from this chat
+// /purge @name   - the user mentioned in the command
+// /purge U1234…  - a LINE user ID
+async function handlePurgeCommand(event, args) {
+  const mentionedUser = (event.message.mention?.mentionees || []).find(mentionee => mentionee.userId && !mentionee.isSelf);
+  const userIdArg = args.trim().match(/^U[0-9a-f]{32}$/i);
+  const targetUserId = mentionedUser ? mentionedUser.userId : (userIdArg ? userIdArg[0] : null);
+  if (!targetUserId) {
+    const reply = { type: 'text', text: 'Usage: /purge @name (or /purge <LINE user ID>) deletes that user\'s stored messages from this chat.' };
+    return client.replyMessage(event.replyToken, reply);
+  }
+
+  const chatsId = getSourceChatId(event.source);
+  const deleted = await purgeUserMessages(chatsId, targetUserId);
+  console.log(`Purged ${deleted} messages from ${targetUserId} in ${chatsId}`);
+
+  const reply = { type: 'text', text: `🗑️ Deleted ${deleted} stored message${deleted === 1 ? '' : 's'} from that user in this chat.` };
+  return client.replyMessage(event.replyToken, reply);
+}
+
+// --- ACCESS CONTROL ---
+// Roles are 'everyone', 'admin' and 'owner' (owners are also admins). They come from Firestore:
+//   accessControl/global    { owners: [userId], admins: [userId], commandRoles: { summarize: ['everyone'], ... } }
+//   accessControl/{groupId} { admins: [userId], commandRoles: { ... } } - per-group overrides
+// BOT_OWNER_USER_ID is always an owner. commandRoles overrides a command's default roles from COMMANDS,
+// the group's settings taking precedence over the global ones.
+const ACCESS_ROLES = ['everyone', 'admin', 'owner'];
+
+// Function to load the access settings that apply to a chat
+async function getAccessControl(chatId) {
+  const access = { owners: [], admins: [], commandRoles: {} };
+  try {
+    const [globalDoc, chatDoc] = await db.getAll(
+      db.collection('accessControl').doc('global'),
+      db.collection('accessControl').doc(chatId)
+    );
+    const globalAccess = globalDoc.exists ? globalDoc.data() : {};
+    const chatAccess = chatDoc.exists ? chatDoc.data() : {};
+    access.owners = globalAccess.owners || [];
+    access.admins = [...(globalAccess.admins || []), ...(chatAccess.admins || [])];
+    access.commandRoles = { ...(globalAccess.commandRoles || {}), ...(chatAccess.commandRoles || {}) };
+  } catch (error) {
+    // Fall back to the defaults (only BOT_OWNER_USER_ID is privileged) rather than failing the command
+    console.error(`Error loading access control for ${chatId}:`, error);
+  }
+  return access;
+}
+
+// Function to get the roles of the user who sent an event
+async function getUserRoles(source, access = null) {
+  const chatId = getSourceChatId(source);
+  const settings = access || await getAccessControl(chatId);
+  const roles = ['everyone'];
+  const isOwner = (BOT_OWNER_USER_ID && source.userId === BOT_OWNER_USER_ID) || settings.owners.includes(source.userId);
+  if (isOwner || settings.admins.includes(source.userId)) {
+    roles.push('admin');
+  }
+  if (isOwner) {
+    roles.push('owner');
+  }
+  return roles;
+}
+
+// Function to get the roles allowed to run a command, taking Firestore overrides into account
+function getCommandRoles(command, access) {
+  const override = access.commandRoles[command.name];
+  if (Array.isArray(override) && override.length > 0 && override.every(role => ACCESS_ROLES.includes(role))) {
+    return override;
+  }
+  return command.roles;
+}
+
+// Function to check whether a user with these roles may run a command
+function canRunCommand(command, roles, access) {
+  return getCommandRoles(command, access).some(role => roles.includes(role));
+}
+
+// Function to describe who may run a command, for refusals
+function describeCommandRoles(command, access) {
+  const allowed = getCommandRoles(command, access);
+  if (allowed.includes('everyone')) return 'everyone';
+  return allowed.includes('admin') ? 'bot admins' : 'the bot owner';
+}
+
+// --- COMMAND ROUTER ---
+// Every command is declared in COMMANDS:
+//   name, aliases  - matched case-insensitively after "/", ignoring extra spaces and a leading @mention of the bot
+//   usage, description, help - shown by /help (help is the longer text for "/help <command>")
+//   args           - argument schema: null for no arguments, or { required, parse } where parse(text) returns the
+//                    parsed arguments, or null when they're invalid (the user then gets the command's help)
+//   roles          - who may run it by default: 'everyone', 'admin' or 'owner' (see ACCESS CONTROL)
+//   authorize      - optional extra check on the parsed arguments, e.g. /summarize all; deniedMessage is its refusal
+//   errorMessage   - reply when the command fails unexpectedly
+//   run(event, args, context) - context is { displayName, roles }
+// Command text is never stored as a chat message; every recognised command is logged in `commands` instead.
+// Text that merely starts with "/" and isn't close to any command is treated as an ordinary message.
+
+const COMMANDS = [
+  {
+    name: 'summarize',
+    aliases: ['summary', 'sum'],
+    usage: '/summarize [here|all] [window]',
+    description: 'Summarize this chat since your last summary',
+    help: 'Usage:\n/summarize here - summarize this chat since your last summary\n/summarize all - summarize every chat (bot owner only, in a 1:1 chat)\n\nAdd a window after the scope:\n/summarize 3h - the last 3 hours (also 30m, 2d)\n/summarize since 09:00 - since a time today (or "since yesterday 9am")\n/summarize today - since midnight\n/summarize last 200 - the last 200 messages',
+    args: { required: false, parse: argsText => parseSummarizeArgs(argsText) },
+    roles: ['admin'],
+    errorMessage: '❌ Sorry, I couldn\'t start the summary. Please try again later.',
+    authorize: (event, summarizeCommand, roles) => summarizeCommand.scope !== 'all' || canSummarizeAllChats(event.source, roles),
+    deniedMessage: '🔒 /summarize all is only available to the bot owner in a 1:1 chat with the bot. Use /summarize here to summarize this chat.',
+    run: (event, summarizeCommand, context) => handleSummarizeCommand(event, summarizeCommand, context)
+  },
+  {
+    name: 'status',
+    aliases: [],
+    usage: '/status',
+    description: 'Check on your latest summary in this chat',
+    help: 'Usage:\n/status - shows how far your latest /summarize in this chat has gotten',
+    args: null,
+    roles: ['everyone'],
+    errorMessage: '❌ Sorry, I couldn\'t look up your summary status. Please try again later.',
+    run: (event) => handleStatusCommand(event)
+  },
+  {
+    name: 'todo',
+    aliases: ['todos', 'tasks'],
+    usage: '/todo [@name]',
+    description: 'List open action items',
+    help: 'Usage:\n/todo - your open action items (in a group, only this group\'s)\n/todo @name - someone else\'s open action items',
+    args: { required: false, parse: argsText => argsText },
+    roles: ['everyone'],
+    errorMessage: '❌ Sorry, I encountered an error while looking up tasks. Please try again later.',
+    run: (event, argsText) => handleTodoCommand(event, argsText)
+  },
+  {
+    name: 'done',
+    aliases: [],
+    usage: '/done <number>',
+    description: 'Close an item from your last /todo list',
+    help: 'Usage:\n/done <number> - closes that item from your last /todo list, e.g. /done 1',
+    args: { required: true, parse: argsText => (/^\d+$/.test(argsText) ? argsText : null) },
+    roles: ['everyone'],
+    errorMessage: '❌ Sorry, I encountered an error while looking up tasks. Please try again later.',
+    run: (event, argsText) => handleDoneCommand(event, argsText)
+  },
+  {
+    name: 'profile',
+    aliases: [],
+    usage: '/profile [name|aliases|style|format] [value]',
+    description: 'Show or change how your summaries are written',
+    help: `Usage:\n/profile - show your summary profile\n/profile name <your name>\n/profile aliases <alias1>, <alias2>, ...\n/profile style <${Object.keys(SUMMARY_STYLES).join('|')}>\n/profile format <${SUMMARY_FORMATS.join('|')}>`,
+    args: { required: false, parse: argsText => argsText },
+    roles: ['everyone'],
+    errorMessage: '❌ Sorry, I encountered an error while updating your profile. Please try again later.',
+    run: (event, argsText) => handleProfileCommand(event, argsText)
+  },
+  {
+    name: 'help',
+    aliases: ['commands'],
+    usage: '/help [command]',
+    description: 'List commands, or explain one',
+    help: 'Usage:\n/help - list the commands you can use\n/help <command> - explain one command, e.g. /help summarize',
+    args: { required: false, parse: argsText => argsText.replace(/^\//, '').toLowerCase() },
+    roles: ['everyone'],
+    errorMessage: '❌ Sorry, I couldn\'t show the help. Please try again later.',
+    run: (event, commandName, context) => handleHelpCommand(event, commandName, context)
+  },
+  {
+    name: 'updatecode',
+    aliases: [],
+    usage: '/updatecode',
+    description: 'Reload the code list from Google Sheets',
+    help: 'Usage:\n/updatecode - reloads the code list from Google Sheets right away',
+    args: null,
+    roles: ['admin'],
+    errorMessage: '❌ Sorry, I encountered an error while updating the code data. Please try again later.',
+    run: (event) => handleUpdateCodeCommand(event)
+  },
+  {
+    name: 'codestats',
+    aliases: [],
+    usage: '/codestats',
+    description: 'Show redemptions per download code',
+    help: 'Usage:\n/codestats - redemptions, unique users and the last redemption of each download code',
+    args: null,
+    roles: ['admin'],
+    errorMessage: '❌ Sorry, I couldn\'t load the code statistics. Please try again later.',
+    run: (event) => handleCodeStatsCommand(event)
+  },
+  {
+    name: 'purge',
+    aliases: [],
+    usage: '/purge @name',
+    description: 'Delete a user\'s stored messages from this chat',
+    help: 'Usage:\n/purge @name - deletes the mentioned user\'s stored messages from this chat\n/purge <LINE user ID> - the same, by user ID',
+    args: { required: true, parse: argsText => argsText },
+    roles: ['admin'],
+    errorMessage: '❌ Sorry, I couldn\'t delete those messages. Please try again later.',
+    run: (event, argsText) => handlePurgeCommand(event, argsText)
+  }
+];
+
+// Function to find a command by name or alias
+function findCommand(name) {
+  const lowerName = name.toLowerCase();
+  return COMMANDS.find(command => command.name === lowerName || command.aliases.includes(lowerName)) || null;
+}
+
+// Function to get the text of a message as a command, or null if it isn't one
+// Strips a leading @mention of the bot and accepts a full-width slash
+function getCommandText(event) {
+  const text = getTextWithoutLeadingBotMention(event).trim().replace(/^／/, '/');
+  return text.startsWith('/') ? text : null;
+}
+
+// Function to get a text message without the @mention of the bot it may start with
+function getTextWithoutLeadingBotMention(event) {
+  const botMention = (event.message.mention?.mentionees || []).find(mentionee => mentionee.isSelf && mentionee.index === 0);
+  return botMention ? event.message.text.slice(botMention.length) : event.message.text;
+}
+
+// Function to check whether a message @-mentions the bot anywhere
+function isBotMentioned(event) {
+  return (event.message.mention?.mentionees || []).some(mentionee => mentionee.isSelf);
+}
+
+// Function to compute the edit distance between two strings (used to suggest commands for typos)
+function getEditDistance(a, b) {
+  const distances = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = distances[0];
+    distances[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = distances[j];
+      distances[j] = Math.min(
+        distances[j] + 1,
+        distances[j - 1] + 1,
+        previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      previous = current;
+    }
+  }
+  return distances[b.length];
+}
+
+// Function to find the command a mistyped name was most likely meant to be (null if nothing is close)
+function suggestCommand(name) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const command of COMMANDS) {
+    for (const candidate of [command.name, ...command.aliases]) {
+      const distance = getEditDistance(name.toLowerCase(), candidate);
+      if (distance < bestDistance) {
+        best = command;
+        bestDistance = distance;
+      }
+    }
+  }
+  // Short names only get one typo, so everyday "/words" aren't mistaken for commands
+  const maxDistance = name.length >= 6 ? 2 : 1;
+  return best && name.length >= 3 && bestDistance <= maxDistance ? best : null;
+}
+
+// Function to log a command invocation in the `commands` collection
+// status: 'ok', 'invalid' (bad arguments), 'denied' or 'error'
+async function recordCommand(event, command, argsText, status, displayName) {
+  try {
+    const commandData = {
+      commandID: db.collection('commands').doc().id, // Generate unique ID
+      commandName: command.name,
+      commandText: `/${command.name}`,
+      args: argsText,
+      status: status,
+      displayName: displayName || 'Unknown User',
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      userId: event.source.userId,
+      chatsId: getSourceChatId(event.source),
+      chatsType: getSourceChatType(event.source)
+    };
+    await db.collection('commands').add(commandData);
+    console.log(`Command saved: /${command.name} ${argsText} (${status}) from ${commandData.displayName}`);
+  } catch (commandError) {
+    console.error(`Error saving /${command.name} command:`, commandError);
+  }
+}
+
+// Function to route a command message to its handler
+// Returns the handler's result, or undefined if the text is not a command (so it's handled as a normal message)
+async function routeCommand(event, commandText) {
+  const [, name = '', argsText = ''] = commandText.match(/^\/(\S*)\s*([\s\S]*)$/) || [];
+  const command = findCommand(name);
+
+  if (!command) {
+    const suggestion = suggestCommand(name);
+    if (!suggestion) return undefined;
+    const reply = { type: 'text', text: `🤔 I don't know /${name}. Did you mean ${suggestion.usage}?\n\nSend /help to see every command.` };
+    return client.replyMessage(event.replyToken, reply);
+  }
+
+  console.log(`Processing /${command.name} command...`);
+  const displayName = await getSourceDisplayName(event.source);
+  const trimmedArgs = argsText.trim();
+
+  const access = await getAccessControl(getSourceChatId(event.source));
+  const roles = await getUserRoles(event.source, access);
+  if (!canRunCommand(command, roles, access)) {
+    console.log(`Denied /${command.name} for ${event.source.userId} (roles: ${roles.join(', ')})`);
+    await recordCommand(event, command, trimmedArgs, 'denied', displayName);
+    const reply = {
+      type: 'text',
+      text: `🔒 Sorry, /${command.name} is only available to ${describeCommandRoles(command, access)} here. Please ask the bot owner if you need access.`
+    };
+    return client.replyMessage(event.replyToken, reply);
+  }
+
+  let args = null;
+  if (command.args) {
+    args = trimmedArgs || !command.args.required ? command.args.parse(trimmedArgs) : null;
+  }
+  const invalidArgs = command.args ? args === null : trimmedArgs.length > 0;
+  if (invalidArgs) {
+    await recordCommand(event, command, trimmedArgs, 'invalid', displayName);
+    const reply = { type: 'text', text: `Sorry, I didn't understand that /${command.name} command.\n\n${command.help}` };
+    return client.replyMessage(event.replyToken, reply);
+  }
+
+  if (command.authorize && !command.authorize(event, args, roles)) {
+    console.log(`Denied /${command.name} ${trimmedArgs} for ${event.source.userId}`);
+    await recordCommand(event, command, trimmedArgs, 'denied', displayName);
+    return client.replyMessage(event.replyToken, { type: 'text', text: command.deniedMessage });
+  }
+
+  try {
+    const result = await command.run(event, args, { displayName: displayName || 'Unknown User', roles: roles });
+    await recordCommand(event, command, trimmedArgs, 'ok', displayName);
+    return result;
+  } catch (commandError) {
+    console.error(`Error handling /${command.name} command:`, commandError);
+    await recordCommand(event, command, trimmedArgs, 'error', displayName);
+    const reply = { type: 'text', text: command.errorMessage };
+    return client.replyMessage(event.replyToken, reply);
+  }
+}
+
+// Function to handle /help: list the commands the user can run, or explain one command
+async function handleHelpCommand(event, commandName, context) {
+  const access = await getAccessControl(getSourceChatId(event.source));
+  const roles = context.roles;
+
+  if (commandName) {
+    const command = findCommand(commandName) || suggestCommand(commandName);
+    const text = command && canRunCommand(command, roles, access)
+      ? `/${command.name}${command.aliases.length > 0 ? ` (also ${command.aliases.map(alias => `/${alias}`).join(', ')})` : ''}\n${command.description}\n\n${command.help}`
+      : `I don't know a /${commandName} command. Send /help to see every command.`;
+    return client.replyMessage(event.replyToken, { type: 'text', text: text });
+  }
+
+  const lines = COMMANDS
+    .filter(command => canRunCommand(command, roles, access))
+    .map(command => `${command.usage}\n  ${command.description}`);
+  const text = `🤖 Commands\n\n${lines.join('\n')}\n\nSend /help <command> for details.`;
+  return client.replyMessage(event.replyToken, { type: 'text', text: text });
+}
+
+// Function to handle /updatecode: reload the code list from Google Sheets and report what changed
+async function handleUpdateCodeCommand(event) {
+  // Fetch fresh Google Sheets data
+  const { data: updatedData, diff, refreshed } = await refreshSheetsData();
+  if (!refreshed) {
+    throw new Error('Google Sheets fetch failed');
+  }
+  console.log(`Code data updated successfully. Found ${updatedData.length} entries.`);
+
+  const reply = {
+    type: 'text',
+    text: `✅ Code data updated successfully!\n\n📊 Found ${updatedData.length} code entries\n🔄 Cache refreshed at ${new Date().toLocaleString()}\n\n${truncateText(formatCodeDiff(diff), 3000)}`
+  };
+  return client.replyMessage(event.replyToken, reply);
+}
+
+// Function to handle /summarize: queue a background summary job (the router has already checked the scope is allowed)
+async function handleSummarizeCommand(event, summarizeCommand, context) {
+  console.log(`Summarize scope: ${summarizeCommand.scope}, window: ${summarizeCommand.summaryWindow.label || 'since last summary'}`);
+
+  try {
+    // Hand the summary to a background job so the webhook returns immediately
+    // The reply token goes with the job, so the summary itself is the reply when it's ready in time
+    const { job, alreadyActive } = await enqueueSummaryJob(event, summarizeCommand, context.displayName);
+    if (alreadyActive) {
+      const reply = { type: 'text', text: `${formatSummaryJobStatus(job)}\n\nI'll post the summary here when it's ready.` };
+      return client.replyMessage(event.replyToken, reply);
+    }
+    return null;
+  } catch (summaryError) {
+    console.error('Error queueing summary:', summaryError);
+    const reply = { type: 'text', text: getSummaryErrorMessage(summaryError) };
+    return client.replyMessage(event.replyToken, reply);
+  }
+}
+
+// --- WEBHOOK IDEMPOTENCY ---
+// LINE redelivers events when the webhook times out or fails, so every event is claimed in
+// processedEvents/{webhookEventId} before it's handled. The expiresAt field is meant for a Firestore TTL policy.
+
+// Function to check whether a Firestore write failed because the document already exists
+function isAlreadyExistsError(error) {
+  return error && (error.code === 6 || error.code === 'already-exists');
+}
+
+// Function to claim a webhook event so it's handled at most once
+// Returns false when the event was already handled, or is being handled right now by another request
+async function claimWebhookEvent(event) {
+  const eventRef = db.collection('processedEvents').doc(event.webhookEventId);
+  const isRedelivery = Boolean(event.deliveryContext && event.deliveryContext.isRedelivery);
+
+  return db.runTransaction(async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+    if (eventDoc.exists) {
+      const processed = eventDoc.data();
+      const claimedAt = processed.claimedAt ? processed.claimedAt.toMillis() : 0;
+      // A claim that never finished (e.g. the instance died) may be taken over once it's stale
+      if (processed.status === 'done' || Date.now() - claimedAt < PROCESSING_CLAIM_STALE_MS) {
+        return false;
+      }
+    }
+
+    transaction.set(eventRef, {
+      status: 'processing',
+      eventType: event.type,
+      messageId: event.message ? event.message.id : null,
+      isRedelivery: isRedelivery,
+      claimedAt: admin.firestore.Timestamp.now(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + PROCESSED_EVENT_TTL_MS)
+    });
+    return true;
+  });
+}
+
+// Function to handle a webhook event once, deduplicated by its webhookEventId
+// If handling fails the claim is released, so LINE's redelivery of the event is processed again
+async function handleEventOnce(event) {
+  if (!event.webhookEventId) {
+    return handleEvent(event);
+  }
+
+  if (!(await claimWebhookEvent(event))) {
+    console.log(`Skipping duplicate webhook event ${event.webhookEventId} (${event.type})`);
+    return null;
+  }
+
+  if (event.deliveryContext && event.deliveryContext.isRedelivery) {
+    console.log(`Handling redelivered webhook event ${event.webhookEventId} (${event.type})`);
+  }
+
+  const eventRef = db.collection('processedEvents').doc(event.webhookEventId);
+  try {
+    const result = await handleEvent(event);
+    await eventRef.update({ status: 'done', processedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return result;
+  } catch (error) {
+    await eventRef.delete().catch((releaseError) => {
+      console.error(`Error releasing webhook event ${event.webhookEventId}:`, releaseError);
+    });
+    throw error;
+  }
+}
+
+// --- DOWNLOAD CODES ---
+// Messages are matched against the "code" column of the cached Google Sheets data. Codes are compared in a
+// normalized form (full-width characters folded, case, spaces, hyphens and underscores ignored), and can be the whole
+// message or appear inside a sentence, several at a time. Code-like words that match nothing get a "did you mean".
+// In groups and rooms a message is only answered when the code was clearly asked for: the message is nothing but a
+// code, every code-like word in it is a known code, or the bot is @-mentioned. A sentence that also contains an
+// unknown code-like word (e.g. "my order A1234 used ABC123") is treated as conversation and left alone.
+// A message that isn't just a code is still stored like any other message, even when it got a code reply.
+// A matched code only gets its link if its row is active, unexpired and not used up (see getCodeAvailability).
+
+// Function to normalize a code for comparison, e.g. "ａｂｃ-123 " -> "ABC123"
+function normalizeCode(text) {
+  return String(text)
+    .normalize('NFKC')
+    .toUpperCase()
+    .replace(/[\s\-_\u200B-\u200D\uFEFF]/g, '');
+}
+
+// Function to get the normalized-code index of a list of sheet rows, built once per list
+// Maps normalized code -> rows with that code (a code can appear on several rows)
+const codeIndexes = new WeakMap();
+function getCodeIndex(rows) {
+  if (!codeIndexes.has(rows)) {
+    const index = new Map();
+    rows.forEach(row => {
+      const key = normalizeCode(row.code);
+      if (!key) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(row);
+    });
+    codeIndexes.set(rows, index);
+  }
+  return codeIndexes.get(rows);
+}
+
+// Function to split a message into the words that could be codes
+function getCodeWords(text) {
+  return text.normalize('NFKC').match(/[A-Za-z0-9][A-Za-z0-9\-_]*/g) || [];
+}
+
+// Function to get the candidates to look up for a message's words
+// Adjacent words are also tried together, so "ABC 123" still matches ABC123
+function getCodeCandidates(words) {
+  const candidates = [...words];
+  for (let i = 0; i < words.length - 1; i++) {
+    candidates.push(`${words[i]}${words[i + 1]}`);
+  }
+  return candidates;
+}
+
+// Function to check whether a word looks like a code someone tried to type (letters and digits, 4+ characters)
+function looksLikeCode(word) {
+  const normalized = normalizeCode(word);
+  return normalized.length >= 4 && /[A-Z]/.test(normalized) && /[0-9]/.test(normalized);
+}
+
+// Function to find every code in a message
+// Returns { matches: [{ code, rows }], suggestions: [{ typed, code }], wholeMessage, onlyCodes } - suggestions only
+// when nothing matched; wholeMessage is true when the message is nothing but a code (or a near miss of one), and
+// onlyCodes when something matched and every code-like word in the message is part of a matched code
+function findCodesInText(text, rows) {
+  const index = getCodeIndex(rows);
+  const matches = [];
+  const matchedKeys = new Set();
+  const addMatch = (key) => {
+    if (matchedKeys.has(key)) return;
+    matchedKeys.add(key);
+    matches.push({ code: index.get(key)[0].code, rows: index.get(key) });
+  };
+
+  // The whole message is a code (which may itself contain spaces or punctuation)
+  const wholeKey = normalizeCode(text);
+  if (index.has(wholeKey)) {
+    addMatch(wholeKey);
+    return { matches, suggestions: [], wholeMessage: true, onlyCodes: true };
+  }
+
+  const words = getCodeWords(text);
+  const candidates = getCodeCandidates(words);
+  const matchedWords = new Set();
+  candidates.forEach((candidate, candidateIndex) => {
+    const key = normalizeCode(candidate);
+    if (!index.has(key)) return;
+    addMatch(key);
+    // Candidates after the single words are pairs starting at word (candidateIndex - words.length)
+    if (candidateIndex < words.length) {
+      matchedWords.add(candidateIndex);
+    } else {
+      matchedWords.add(candidateIndex - words.length);
+      matchedWords.add(candidateIndex - words.length + 1);
+    }
+  });
+  if (matches.length > 0) {
+    const onlyCodes = words.every((word, wordIndex) => matchedWords.has(wordIndex) || !looksLikeCode(word));
+    return { matches, suggestions: [], wholeMessage: false, onlyCodes };
+  }
+
+  // Near misses: one typo for short codes, two for longer ones
+  const suggestions = [];
+  const suggestedKeys = new Set();
+  candidates.filter(looksLikeCode).forEach(candidate => {
+    const key = normalizeCode(candidate);
+    const maxDistance = key.length >= 8 ? 2 : 1;
+    let bestKey = null;
+    let bestDistance = Infinity;
+    for (const code of index.keys()) {
+      if (Math.abs(code.length - key.length) > maxDistance) continue;
+      const distance = getEditDistance(key, code);
+      if (distance < bestDistance) {
+        bestKey = code;
+        bestDistance = distance;
+      }
+    }
+    if (bestKey && bestDistance <= maxDistance && !suggestedKeys.has(bestKey)) {
+      suggestedKeys.add(bestKey);
+      suggestions.push({ typed: candidate, code: index.get(bestKey)[0].code });
+    }
+  });
+  const wholeMessage = suggestions.some(suggestion => normalizeCode(suggestion.typed) === wholeKey);
+  return { matches, suggestions, wholeMessage, onlyCodes: false };
+}
+
+// Function to parse the optional expiry date column, read in SUMMARY_TIMEZONE
+// Date cells arrive as serial numbers (days since 1899-12-30, the fraction being the time of day), whatever the
+// sheet's locale; text cells must be ISO, e.g. "2025-12-31" or "2025-12-31 18:00". A date without a time is valid
+// through the end of that day. Anything else is reported and ignored, so fix the cell rather than rely on a guess.
+function parseSheetDate(value, rowNumber) {
+  if (value === undefined || value === null || !String(value).trim()) return null;
+
+  if (typeof value === 'number') {
+    if (!(value > 0)) {
+      console.error(`Ignoring expiry date ${value} in Google Sheets row ${rowNumber}: not a date`);
+      return null;
+    }
+    const wall = new Date(Date.UTC(1899, 11, 30) + Math.round(value * 24 * 60 * 60) * 1000);
+    return Number.isInteger(value)
+      ? getZonedDate(wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate(), 23, 59, 59)
+      : getZonedDate(wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate(),
+        wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+  }
+
+  const text = String(value).trim();
+  const parts = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!parts) {
+    console.error(`Ignoring expiry date "${text}" in Google Sheets row ${rowNumber}: use a date cell or YYYY-MM-DD [HH:mm]`);
+    return null;
+  }
+  return parts[4] === undefined
+    ? getZonedDate(+parts[1], +parts[2], +parts[3], 23, 59, 59)
+    : getZonedDate(+parts[1], +parts[2], +parts[3], +parts[4], +parts[5], +(parts[6] || 0));
+}
+
+// Function to parse the optional max uses column (empty means unlimited)
+function parseSheetCount(value) {
+  const count = parseInt(String(value || '').trim(), 10);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+// Function to get whether a code row can be redeemed right now, from its status column and expiry date
+// Status values: empty or "active" (redeemable), "disabled" (also "inactive" or "off") and "expired"
+function getCodeAvailability(row, now = new Date()) {
+  const status = String(row.status || '').trim().toLowerCase();
+  if (['disabled', 'inactive', 'off'].includes(status)) return 'disabled';
+  if (status === 'expired') return 'expired';
+  if (row.expiresAt && row.expiresAt <= now) return 'expired';
+  return 'active';
+}
+
+// Function to redeem a code for a user, counting redemptions per code in codeRedemptions/{normalized code}:
+// { code, count (unique users, what maxUses limits), requests (every time the link was handed out), maxUses,
+//   lastRedeemedAt, lastRedeemedBy, lastRedeemedByName }
+// A user asking for the same code again gets the link without using up another redemption.
+// redeemer is { userId, displayName }. Returns 'active', or 'used-up' when the code's max uses have been reached
+async function redeemCode(row, redeemer) {
+  const codeRef = db.collection('codeRedemptions').doc(normalizeCode(row.code));
+  const userRef = redeemer.userId ? codeRef.collection('users').doc(redeemer.userId) : null;
+
+  return db.runTransaction(async (transaction) => {
+    const [codeDoc, userDoc] = await Promise.all([
+      transaction.get(codeRef),
+      userRef ? transaction.get(userRef) : Promise.resolve(null)
+    ]);
+    const isRepeat = Boolean(userDoc && userDoc.exists);
+    const codeData = codeDoc.exists ? codeDoc.data() : {};
+    const count = codeData.count || 0;
+    if (!isRepeat && row.maxUses !== null && row.maxUses !== undefined && count >= row.maxUses) return 'used-up';
+
+    transaction.set(codeRef, {
+      code: row.code,
+      count: isRepeat ? count : count + 1,
+      requests: (codeData.requests || count) + 1,
+      maxUses: row.maxUses ?? null,
+      lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastRedeemedBy: redeemer.userId || null,
+      lastRedeemedByName: redeemer.displayName || null
+    }, { merge: true });
+    if (userRef && !isRepeat) {
+      transaction.set(userRef, { userId: redeemer.userId, redeemedAt: admin.firestore.FieldValue.serverTimestamp() });
     }
-    
-    // Record this request
-    this.requests.push(now);
+    return 'active';
+  });
+}
+
+// Function to record a code request in the codeRedemptionLog collection, whatever its outcome
+// (active, disabled, expired, used-up or error), with who asked and in which chat
+async function logCodeRequest(row, redeemer, outcome) {
+  try {
+    await db.collection('codeRedemptionLog').add({
+      code: row.code,
+      normalizedCode: normalizeCode(row.code),
+      sheetRow: row.row,
+      outcome: outcome,
+      userId: redeemer.userId || null,
+      displayName: redeemer.displayName || null,
+      chatsId: redeemer.chatsId,
+      chatsType: redeemer.chatsType,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    console.error(`Error logging request for code ${row.code}:`, error);
   }
 }
 
-// Create a global rate limiter for Gemini API calls
-// Gemini 2.0 Flash has 15 RPM limit, so we'll use 14 requests per minute to be safe
-const geminiRateLimiter = new RateLimiter(14, 60000); // Max 14 requests per 60 seconds (1 minute)
+// Function to get redemption statistics for every code that has been redeemed, most redeemed first
+async function getCodeStats() {
+  const snapshot = await db.collection('codeRedemptions').get();
+  return snapshot.docs
+    .map(doc => {
+      const data = doc.data();
+      return {
+        code: data.code || doc.id,
+        redemptions: data.requests || data.count || 0,
+        uniqueUsers: data.count || 0,
+        maxUses: data.maxUses ?? null,
+        lastRedeemedAt: data.lastRedeemedAt?.toDate?.() || null,
+        lastRedeemedBy: data.lastRedeemedByName || data.lastRedeemedBy || null
+      };
+    })
+    .sort((a, b) => b.redemptions - a.redemptions);
+}
 
-// Enhanced function to generate content with retry logic and rate limiting
-async function generateContentWithRetry(prompt, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+// Function to handle /codestats: redemptions, unique users and the last redemption of each code
+async function handleCodeStatsCommand(event) {
+  const stats = await getCodeStats();
+  if (stats.length === 0) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: 'No codes have been redeemed yet.' });
+  }
+
+  const lines = stats.map(stat => {
+    const limit = stat.maxUses !== null ? `/${stat.maxUses}` : '';
+    const last = stat.lastRedeemedAt
+      ? `, last ${stat.lastRedeemedAt.toLocaleString('en-US', { timeZone: SUMMARY_TIMEZONE })}${stat.lastRedeemedBy ? ` by ${stat.lastRedeemedBy}` : ''}`
+      : '';
+    return `${stat.code}: ${stat.redemptions} redemptions, ${stat.uniqueUsers}${limit} users${last}`;
+  });
+  const messages = splitIntoMessages(`📊 Code redemptions\n\n${lines.join('\n')}`)
+    .slice(0, LINE_MAX_MESSAGES_PER_CALL)
+    .map(text => ({ type: 'text', text: text }));
+  return client.replyMessage(event.replyToken, messages);
+}
+
+// Function to get the reply line for one matched code row: null for its link, or why it can't be used
+// Every request is logged, whatever the outcome
+async function getCodeRowReply(row, redeemer) {
+  let availability = getCodeAvailability(row);
+  if (availability === 'active') {
     try {
-      // Wait for rate limiter
-      await geminiRateLimiter.waitForSlot();
-      
-      console.log(`Generating content (attempt ${attempt}/${maxRetries})...`);
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      console.log(`Content generated successfully on attempt ${attempt}`);
-      return text;
-      
+      availability = await redeemCode(row, redeemer);
     } catch (error) {
-      console.error(`Attempt ${attempt} failed:`, error.message);
-      
-      // Check if it's a rate limit error
-      if (error.message && (
-        error.message.includes('429') || 
-        error.message.includes('TooManyRequests') ||
-        error.message.includes('quota') ||
-        error.message.includes('rate limit')
-      )) {
-        if (attempt < maxRetries) {
-          // Exponential backoff: wait 2^attempt seconds
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Rate limit hit. Waiting ${waitTime}ms before retry ${attempt + 1}...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          continue;
-        } else {
-          throw new Error(`Rate limit exceeded after ${maxRetries} attempts. Please try again later.`);
-        }
-      } else {
-        // For non-rate-limit errors, throw immediately
-        throw error;
+      console.error(`Error counting redemption of code ${row.code}:`, error);
+      // Without a limit the count is only bookkeeping, so still hand out the link
+      if (row.maxUses !== null && row.maxUses !== undefined) {
+        await logCodeRequest(row, redeemer, 'error');
+        return `⚠️ I couldn't check code ${row.code} right now. Please try again in a moment.`;
       }
+      availability = 'active';
     }
   }
+  await logCodeRequest(row, redeemer, availability);
+
+  switch (availability) {
+    case 'disabled':
+      return `⛔ Code ${row.code} is no longer active.`;
+    case 'expired':
+      return row.expiresAt
+        ? `⌛ Code ${row.code} expired on ${row.expiresAt.toLocaleDateString('en-US', { timeZone: SUMMARY_TIMEZONE })}.`
+        : `⌛ Code ${row.code} has expired.`;
+    case 'used-up':
+      return `🚫 Code ${row.code} has already been used the maximum number of times.`;
+    default:
+      return null;
+  }
 }
 
-// Function to process chats in batches and send multiple reply messages
-async function processChatsInBatches(client, event, chats, lastSummaryTimestamp, batchSize = 15) {
-  const totalChats = chats.length;
-  console.log(`Processing ${totalChats} chats in batches of ${batchSize}`);
-  
-  // Process chats in batches
-  for (let i = 0; i < totalChats; i += batchSize) {
-    const batch = chats.slice(i, i + batchSize);
-    const batchNumber = Math.floor(i / batchSize) + 1;
-    const totalBatches = Math.ceil(totalChats / batchSize);
-    
-    console.log(`Processing batch ${batchNumber}/${totalBatches} with ${batch.length} chats`);
-    
-    const summaries = [];
-    
-    // Process each chat in the current batch
-    for (const chatDoc of batch) {
-      const chatId = chatDoc.id;
-      
-      // Get messages from this chat
-      const limit = lastSummaryTimestamp ? 100 : 30;
-      const messagesSnapshot = await db.collection('chats')
-        .doc(chatId)
-        .collection('messages')
-        .orderBy('timestamp', 'desc')
-        .limit(limit)
-        .get();
+// Function to build the reply for the codes found in a message (null when there's nothing to say)
+// One redeemable code gets just its link, as before; several codes get one "code: link" line each.
+// Codes that are disabled, expired or used up get an explanation instead of their link.
+async function buildCodeReply({ matches, suggestions }, source) {
+  const rows = matches.flatMap(match => match.rows);
+  const rowReplies = [];
+  if (rows.length > 0) {
+    const redeemer = {
+      userId: source.userId,
+      displayName: await getSourceDisplayName(source),
+      chatsId: getSourceChatId(source),
+      chatsType: getSourceChatType(source)
+    };
+    for (const row of rows) {
+      rowReplies.push({ row: row, problem: await getCodeRowReply(row, redeemer) });
+    }
+  }
 
-      console.log(`Found ${messagesSnapshot.size} messages in chat ${chatId}`);
-      if (messagesSnapshot.empty) continue;
+  if (rowReplies.length === 1 && !rowReplies[0].problem) {
+    return [{ type: 'text', text: rowReplies[0].row.link }];
+  }
 
-      // Convert to array and reverse to get chronological order
-      let messages = messagesSnapshot.docs
-        .map(doc => doc.data())
-        .reverse()
-        .filter(msg => msg.text && msg.text.toLowerCase() !== '/summarize');
+  let text;
+  if (rowReplies.length > 0) {
+    text = rowReplies
+      .map(({ row, problem }) => problem || `${row.code}: ${row.link}`)
+      .join('\n');
+  } else if (suggestions.length > 0) {
+    text = suggestions
+      .map(suggestion => `🤔 I couldn't find the code "${suggestion.typed}". Did you mean ${suggestion.code}?`)
+      .join('\n');
+  } else {
+    return null;
+  }
 
-      // Filter messages based on last summary timestamp
-      if (lastSummaryTimestamp) {
-        messages = messages.filter(msg => {
-          if (!msg.timestamp) return false;
-          return msg.timestamp.toDate() > lastSummaryTimestamp.toDate();
-        });
-        console.log(`After filtering by timestamp: ${messages.length} messages remain in chat ${chatId}`);
-      } else {
-        messages = messages.slice(-30);
-        console.log(`No previous summary found, taking last 30 messages: ${messages.length} messages in chat ${chatId}`);
-      }
+  return splitIntoMessages(text)
+    .slice(0, LINE_MAX_MESSAGES_PER_CALL)
+    .map(part => ({ type: 'text', text: part }));
+}
 
-      if (messages.length === 0) continue;
+// Function to compare two versions of the code list
+// Returns { added: [code], removed: [code], changed: [{ code, fields }] }, codes compared in normalized form
+function diffCodeData(oldRows, newRows) {
+  const oldIndex = getCodeIndex(oldRows);
+  const newIndex = getCodeIndex(newRows);
+  const fieldValue = (row, field) => (row[field] instanceof Date ? row[field].getTime() : row[field] ?? null);
+  const diff = { added: [], removed: [], changed: [] };
 
-      // Get chat info
-      const firstMessage = messages[0];
-      const chatType = firstMessage.chatsType;
-      const chatName = chatType === 'group' 
-        ? (firstMessage.groupName || 'Unknown Group')
-        : (firstMessage.displayName || 'Direct Chat');
+  for (const [key, rows] of newIndex) {
+    if (!oldIndex.has(key)) {
+      diff.added.push(rows[0].code);
+      continue;
+    }
+    const oldRowsForCode = oldIndex.get(key);
+    const fields = ['status', 'link', 'expiresAt', 'maxUses']
+      .filter(field => fieldValue(oldRowsForCode[0], field) !== fieldValue(rows[0], field));
+    if (oldRowsForCode.length !== rows.length) fields.push('rows');
+    if (fields.length > 0) diff.changed.push({ code: rows[0].code, fields: fields });
+  }
+  for (const [key, rows] of oldIndex) {
+    if (!newIndex.has(key)) diff.removed.push(rows[0].code);
+  }
+  return diff;
+}
 
-      console.log(`Generating summary for ${chatType}: ${chatName}`);
+// Function to check whether a code list diff has any changes
+function hasCodeChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length > 0;
+}
 
-      // Create conversation text for this chat
-      const conversationText = messages
-        .map(msg => `${msg.displayName || 'User'}: ${msg.text}`)
-        .join('\n');
+// Function to describe a code list diff for LINE
+function formatCodeDiff(diff) {
+  const lines = [];
+  if (diff.added.length > 0) lines.push(`➕ Added (${diff.added.length}): ${diff.added.join(', ')}`);
+  if (diff.removed.length > 0) lines.push(`➖ Removed (${diff.removed.length}): ${diff.removed.join(', ')}`);
+  if (diff.changed.length > 0) {
+    lines.push(`✏️ Changed (${diff.changed.length}): ${diff.changed.map(change => `${change.code} (${change.fields.join(', ')})`).join(', ')}`);
+  }
+  return lines.length > 0 ? lines.join('\n') : 'No code changes.';
+}
 
-      // Generate summary for this chat
-      const summaryPrompt = `Summarize the key points and action items from the following group chat conversation, with additional focusing exclusively on anything relevant to the user Kla.
-If and only if Kla or any of his aliases are mentioned, provide a brief, bulleted list of the key points, questions, or action items directed at him.
-Kla is mentioned using these names: @kla, @klawisesight, กล้า, or kla.
-Do not add any headlines, introductory sentences. Chat Conversation to Summarize: "${chatName}":\n\n${conversationText}\n\nSummary:`;
-      const summary = await generateContentWithRetry(summaryPrompt);
+// Function to send a code list diff to every bot owner and admin in their 1:1 chat with the bot
+async function notifyAdminsOfCodeChanges(diff) {
+  const globalDoc = await db.collection('accessControl').doc('global').get();
+  const access = globalDoc.exists ? globalDoc.data() : {};
+  const adminIds = [...new Set([BOT_OWNER_USER_ID, ...(access.owners || []), ...(access.admins || [])].filter(Boolean))];
+  const messages = splitIntoMessages(`🔄 The code list changed\n\n${formatCodeDiff(diff)}`)
+    .slice(0, LINE_MAX_MESSAGES_PER_CALL)
+    .map(text => ({ type: 'text', text: text }));
 
-      summaries.push(`📝 **${chatType} : ${chatName}**\n${summary}`);
-    }
-    
-    // Send batch summary if there are summaries
-    if (summaries.length > 0) {
-      const batchTitle = totalBatches > 1 ? ` (Batch ${batchNumber}/${totalBatches})` : '';
-      const combinedSummary = summaries.join('\n----\n');
-      
-      // Split the summary into multiple messages if it's too long
-      const summaryMessages = splitIntoMessages(`📋 **Conversation Summaries${batchTitle}**\n\n${combinedSummary}`);
-      
-      // Create an array of message objects
-      const messages = summaryMessages.map(text => ({
-        type: 'text',
-        text: text
-      }));
-      
-      // Send the batch - use reply for first batch, push for subsequent batches
-      if (batchNumber === 1) {
-        await client.replyMessage(event.replyToken, messages);
-      } else {
-        // For subsequent batches, use push message to the user/group
-        const targetId = event.source.groupId || event.source.userId;
-        await client.pushMessage(targetId, messages);
-      }
-      
-      // Add a 1-minute delay between batches to respect RPM limits
-      if (i + batchSize < totalChats) {
-        console.log(`Waiting 1 minute (60 seconds) before processing next batch to respect RPM limits...`);
-        await new Promise(resolve => setTimeout(resolve, 60000)); // 60 seconds = 1 minute
-      }
+  for (const adminId of adminIds) {
+    try {
+      await createLineDelivery(client, { targetId: adminId }).send(messages);
+    } catch (error) {
+      console.error(`Error notifying ${adminId} of code changes:`, error);
     }
   }
-  
-  console.log(`Completed processing all ${totalChats} chats`);
+  console.log(`Notified ${adminIds.length} admins of code changes`);
 }
 
-// Function to process collection group chats in batches
-async function processCollectionGroupChatsInBatches(client, event, chatEntries, lastSummaryTimestamp, batchSize = 15) {
-  const totalChats = chatEntries.length;
-  console.log(`Processing ${totalChats} collection group chats in batches of ${batchSize}`);
-  
-  // Process chats in batches
-  for (let i = 0; i < totalChats; i += batchSize) {
-    const batch = chatEntries.slice(i, i + batchSize);
-    const batchNumber = Math.floor(i / batchSize) + 1;
-    const totalBatches = Math.ceil(totalChats / batchSize);
-    
-    console.log(`Processing collection group batch ${batchNumber}/${totalBatches} with ${batch.length} chats`);
-    
-    const summaries = [];
-    
-    // Process each chat in the current batch
-    for (const [chatId, messages] of batch) {
-      console.log(`Processing chat ${chatId} with ${messages.length} messages`);
-      
-      // Filter messages based on last summary timestamp
-      let filteredMessages = messages.filter(msg => msg.text && msg.text.toLowerCase() !== '/summarize');
-      
-      if (lastSummaryTimestamp) {
-        // Filter messages after the last summary timestamp
-        filteredMessages = filteredMessages.filter(msg => {
-          if (!msg.timestamp) return false;
-          return msg.timestamp.toDate() > lastSummaryTimestamp.toDate();
-        });
-        console.log(`After filtering by timestamp: ${filteredMessages.length} messages remain`);
-      } else {
-        // If no previous summary, take last 30 messages
-        filteredMessages = filteredMessages
-          .sort((a, b) => {
-            const timeA = a.timestamp?.toDate?.() || new Date(0);
-            const timeB = b.timestamp?.toDate?.() || new Date(0);
-            return timeA - timeB;
-          })
-          .slice(-30);
-        console.log(`No previous summary found, taking last 30 messages: ${filteredMessages.length} messages`);
-      }
-      
-      if (filteredMessages.length === 0) {
-        console.log('No messages after filtering, skipping this chat');
-        continue;
-      }
-      
-      const firstMessage = filteredMessages[0];
-      const chatType = firstMessage.chatsType;
-      const chatName = chatType === 'group' 
-        ? (firstMessage.groupName || 'Unknown Group')
-        : (firstMessage.displayName || 'Direct Chat');
-      
-      console.log(`Generating summary for ${chatType}: ${chatName}...`);
-      
-      const conversationText = filteredMessages
-        .map(msg => `${msg.displayName || 'User'}: ${msg.text}`)
-        .join('\n');
-      
-      const summaryPrompt = `Summarize the following group chat conversation. Your primary objective is to create a summary specifically for a user named Kla. It is critical to highlight all direct mentions, questions, and action items assigned to him so he doesn't miss anything important. 
-      Key Persona to Focus On:
-      Kla is mentioned using these names: @kla, @klawisesight, กล้า, or kla.
-      Required Output Structure:
-      1. General Summary: Provide a brief, 2-3 sentence paragraph outlining the main topics and overall sentiment of the conversation.
-      2. Mentions & Action Items for Kla: Create a dedicated, bulleted list for every instance where Kla was mentioned. For each bullet point, clearly state: The context of the mention. Who made the mention. Any direct questions or action items for Kla. Chat Conversation to Summarize: "${chatName}":\n\n${conversationText}\n\nSummary:`;
-      const summary = await generateContentWithRetry(summaryPrompt);
-      console.log(`Summary generated for ${chatType}: ${chatName}: ${summary.substring(0, 100)}...`);
-      
-      summaries.push(`📝 **${chatType} : ${chatName}**\n${summary}\n`);
-    }
-    
-    // Send batch summary if there are summaries
-    if (summaries.length > 0) {
-      const batchTitle = totalBatches > 1 ? ` (Batch ${batchNumber}/${totalBatches})` : '';
-      const combinedSummary = summaries.join('----------\n');
-      
-      // Split the summary into multiple messages if it's too long
-      const summaryMessages = splitIntoMessages(`📋 **Conversation Summaries${batchTitle}**\n\n${combinedSummary}`);
-      
-      // Create an array of message objects
-      const messages = summaryMessages.map(text => ({
-        type: 'text',
-        text: text
-      }));
-      
-      // Send the batch - use reply for first batch, push for subsequent batches
-      if (batchNumber === 1) {
-        await client.replyMessage(event.replyToken, messages);
-      } else {
-        // For subsequent batches, use push message to the user/group
-        const targetId = event.source.groupId || event.source.userId;
-        await client.pushMessage(targetId, messages);
-      }
-      
-      // Add a 1-minute delay between batches to respect RPM limits
-      if (i + batchSize < totalChats) {
-        console.log(`Waiting 1 minute (60 seconds) before processing next batch to respect RPM limits...`);
-        await new Promise(resolve => setTimeout(resolve, 60000)); // 60 seconds = 1 minute
-      }
+// Function to reload the code list from Google Sheets and work out what changed
+// With notify, admins get the diff in LINE (never for the very first load, where every code is "added")
+// Returns { data, diff, refreshed } - refreshed is false when the fetch failed and the old cache was kept
+async function refreshSheetsData({ notify = false } = {}) {
+  const previousData = cachedSheetsData;
+  const previousUpdatedAt = cachedSheetsDataUpdatedAt;
+  const wasLoaded = previousUpdatedAt !== null;
+  const data = await fetchGoogleSheetsData();
+
+  // When the fetch fails, fetchGoogleSheetsData keeps the cache (or falls back to the Firestore snapshot)
+  if (cachedSheetsDataSource !== 'sheets' || cachedSheetsDataUpdatedAt === previousUpdatedAt) {
+    return { data: data, diff: diffCodeData(data, data), refreshed: false };
+  }
+
+  const diff = diffCodeData(previousData, data);
+  if (hasCodeChanges(diff)) {
+    console.log(`Code list changed: ${formatCodeDiff(diff).replace(/\n/g, '; ')}`);
+    if (notify && wasLoaded) {
+      await notifyAdminsOfCodeChanges(diff);
     }
   }
-  
-  console.log(`Completed processing all ${totalChats} collection group chats`);
+  return { data: data, diff: diff, refreshed: true };
 }
 
-// Function to get the last summary timestamp from commands collection
-async function getLastSummaryTimestamp() {
+// Function to refresh the code list every SHEETS_REFRESH_INTERVAL_MS (used by the long-running server)
+function startSheetsRefreshSchedule() {
+  if (!SHEETS_REFRESH_INTERVAL_MS) {
+    console.log('Automatic Google Sheets refresh is turned off');
+    return;
+  }
+
+  console.log(`Refreshing Google Sheets data every ${SHEETS_REFRESH_INTERVAL_MS / 60000} minutes`);
+  setInterval(() => {
+    refreshSheetsData({ notify: NOTIFY_ADMINS_OF_CODE_CHANGES }).catch(error => {
+      console.error('Scheduled Google Sheets refresh failed:', error);
+    });
+  }, SHEETS_REFRESH_INTERVAL_MS);
+}
+
+// Function to save the code list as the last good snapshot in codeCache/current
+// { version, contentHash, rows, entries, fetchedAt (when this version was first fetched), checkedAt (last fetch) }
+// The version only goes up when the content changes, so an unchanged sheet costs one small update per refresh.
+async function saveCodeCacheSnapshot(data) {
+  const contentHash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+  // Firestore documents are limited to 1 MiB
+  if (Buffer.byteLength(JSON.stringify(data)) > 900 * 1024) {
+    console.log(`Code list is too large for a Firestore snapshot (${data.length} rows), not saving it`);
+    return;
+  }
+
+  const snapshotRef = db.collection('codeCache').doc('current');
+  const version = await db.runTransaction(async (transaction) => {
+    const snapshotDoc = await transaction.get(snapshotRef);
+    const current = snapshotDoc.exists ? snapshotDoc.data() : {};
+    if (current.contentHash === contentHash) {
+      transaction.update(snapshotRef, { checkedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return current.version;
+    }
+
+    const nextVersion = (current.version || 0) + 1;
+    transaction.set(snapshotRef, {
+      version: nextVersion,
+      contentHash: contentHash,
+      rows: data,
+      entries: data.length,
+      fetchedAt: admin.firestore.FieldValue.serverTimestamp(),
+      checkedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return nextVersion;
+  });
+
+  cachedSheetsDataVersion = version;
+  console.log(`Code cache snapshot is at version ${version}`);
+}
+
+// Function to load the last good code list snapshot from Firestore into the cache
+// Returns true if a snapshot was loaded
+async function loadCodeCacheSnapshot() {
   try {
-    const commandsSnapshot = await db.collection('commands')
-      .where('commandText', '==', '/summarize')
-      .orderBy('timestamp', 'desc')
-      .limit(1)
-      .get();
-    
-    if (!commandsSnapshot.empty) {
-      const lastCommand = commandsSnapshot.docs[0].data();
-      return lastCommand.timestamp;
+    const snapshotDoc = await db.collection('codeCache').doc('current').get();
+    if (!snapshotDoc.exists) {
+      console.log('No code cache snapshot in Firestore yet');
+      return false;
     }
-    return null;
+
+    const snapshot = snapshotDoc.data();
+    cachedSheetsData = (snapshot.rows || []).map(row => ({
+      ...row,
+      expiresAt: row.expiresAt?.toDate?.() || null
+    }));
+    cachedSheetsDataUpdatedAt = snapshot.checkedAt?.toDate?.() || snapshot.fetchedAt?.toDate?.() || null;
+    cachedSheetsDataVersion = snapshot.version || null;
+    cachedSheetsDataSource = 'snapshot';
+    console.log(`Loaded code cache snapshot version ${snapshot.version} with ${cachedSheetsData.length} entries`);
+    return true;
   } catch (error) {
-    console.error('Error getting last summary timestamp:', error);
-    return null;
+    console.error('Error loading code cache snapshot:', error);
+    return false;
   }
 }
 
 // Function to fetch data from Google Sheets and update cache
+// The result is also saved to Firestore; if the fetch fails, the cache falls back to the last saved snapshot
 async function fetchGoogleSheetsData() {
   try {
     console.log('Fetching data from Google Sheets...');
@@ -376,27 +3347,46 @@ async function fetchGoogleSheetsData() {
     // Fetch data from the sheet
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId: spreadsheetId,
-      range: 'A:C', // Get columns A, B, C (status, code, link)
+      range: 'A:E', // Get columns A-E (status, code, link, optional expiry date, optional max uses)
+      // Raw values, so dates come as serial numbers instead of text in the sheet's locale (see parseSheetDate)
+      valueRenderOption: 'UNFORMATTED_VALUE',
+      dateTimeRenderOption: 'SERIAL_NUMBER'
     });
     
     const rows = response.data.values;
     console.log(`Fetched ${rows.length} rows from Google Sheets`);
     
     // Convert to array of objects
+    // Unformatted values keep numbers as numbers, so text columns are converted back to strings
     const data = rows.slice(1).map((row, index) => ({
       row: index + 2, // Excel row number (accounting for header)
-      status: row[0] || '',
-      code: row[1] || '',
-      link: row[2] || ''
+      status: String(row[0] ?? ''),
+      code: String(row[1] ?? ''),
+      link: String(row[2] ?? ''),
+      expiresAt: parseSheetDate(row[3], index + 2),
+      maxUses: parseSheetCount(row[4])
     }));
     
     // Update the global cache
     cachedSheetsData = data;
+    cachedSheetsDataUpdatedAt = new Date();
+    cachedSheetsDataSource = 'sheets';
     console.log(`Updated cached sheets data with ${data.length} entries`);
+
+    // Keep the last good copy in Firestore for restarts, cold starts and Sheets outages
+    try {
+      await saveCodeCacheSnapshot(data);
+    } catch (snapshotError) {
+      console.error('Error saving code cache snapshot:', snapshotError);
+    }
     
     return data;
   } catch (error) {
     console.error('Error fetching Google Sheets data:', error);
+    // Nothing cached in memory yet (e.g. right after a restart): use the last snapshot saved in Firestore
+    if (cachedSheetsData.length === 0 && await loadCodeCacheSnapshot()) {
+      console.log('Using the Firestore code cache snapshot until Google Sheets is reachable again');
+    }
     return cachedSheetsData; // Return cached data if fetch fails
   }
 }
@@ -408,6 +3398,44 @@ const config = {
   channelSecret: functions.config().line.channel_secret,
 };
 
+// LINE userId of the bot owner - always has the owner role (more owners and admins live in accessControl/global)
+const BOT_OWNER_USER_ID = functions.config().bot?.owner_user_id;
+
+// LINE Messaging API delivery limits
+const LINE_MAX_MESSAGES_PER_CALL = 5;
+const REPLY_TOKEN_MAX_AGE_MS = 50 * 1000; // Reply tokens expire about a minute after the event; keep a safety margin
+const DELIVERY_MAX_ATTEMPTS = 3;
+
+// How long processed webhook events are remembered for deduplication, and when an unfinished claim counts as abandoned
+const PROCESSED_EVENT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const PROCESSING_CLAIM_STALE_MS = 10 * 60 * 1000;
+
+// When a queued or running summary job that hasn't updated its progress counts as stuck
+// (longer than a Firebase Functions run can last, so a job is only given up on once its worker is gone)
+const SUMMARY_JOB_STALE_MS = 15 * 60 * 1000;
+
+// Run summary jobs inside the request that queued them? Not on Firebase Functions: work after the response is
+// throttled, so jobs run from the processSummaryJob Firestore trigger instead
+const RUN_SUMMARY_JOBS_IN_PROCESS = false;
+
+// How long one run of a summary job may take before it must continue in another run (the timeout of the
+// processSummaryJob and continueSummaryJob functions), how much time a single chat is allowed for when deciding
+// whether to start it, and how long before the limit a run that is still busy gives up and reports the time-out
+const SUMMARY_JOB_RUN_TIME_LIMIT_MS = 540 * 1000;
+const SUMMARY_CHAT_TIME_BUDGET_MS = 3 * 60 * 1000;
+const SUMMARY_JOB_WATCHDOG_MARGIN_MS = 15 * 1000;
+
+// How often the Google Sheets code cache is refreshed automatically in minutes (default 15, 0 turns it off),
+// and whether owners and admins get a LINE message listing the codes that changed
+const SHEETS_REFRESH_INTERVAL_MS = (parseFloat(functions.config().sheets?.refresh_interval_minutes ?? '15') || 0) * 60 * 1000;
+const NOTIFY_ADMINS_OF_CODE_CHANGES = functions.config().sheets?.notify_admins === 'true';
+
+// Shared secret for GET /code/stats (the endpoint is turned off when it isn't set)
+const CODE_STATS_TOKEN = functions.config().bot?.code_stats_token;
+
+// Time zone used for "today" and "since 09:00" summary windows and for code expiry dates (defaults to the server's time zone)
+const SUMMARY_TIMEZONE = functions.config().bot?.summary_timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 // Create a new LINE SDK client
 const client = new line.Client(config);
 
@@ -421,6 +3449,9 @@ app.get('/code', async (req, res) => {
     res.json({
       message: 'Code Data (Cached)',
       totalRows: cachedSheetsData.length,
+      version: cachedSheetsDataVersion,
+      source: cachedSheetsDataSource,
+      updatedAt: cachedSheetsDataUpdatedAt ? cachedSheetsDataUpdatedAt.toISOString() : null,
       data: cachedSheetsData,
       note: 'Data is cached at startup. Use /codeupdate to update.'
     });
@@ -437,10 +3468,14 @@ app.get('/code', async (req, res) => {
 app.get('/codeupdate', async (req, res) => {
   try {
     console.log('Manual refetch of code data requested...');
-    const sheetsData = await fetchGoogleSheetsData();
+    const { data: sheetsData, diff, refreshed } = await refreshSheetsData();
+    if (!refreshed) {
+      throw new Error('Google Sheets fetch failed, the cached data was kept');
+    }
     res.json({
       message: 'Code Data Refetched Successfully',
       totalRows: sheetsData.length,
+      changes: diff,
       data: sheetsData,
       timestamp: new Date().toISOString()
     });
@@ -453,6 +3488,36 @@ app.get('/codeupdate', async (req, res) => {
   }
 });
 
+// Endpoint to show redemption statistics per code (redemptions, unique users, last redemption)
+// Requires `Authorization: Bearer <CODE_STATS_TOKEN>` and leaves out who redeemed codes (use /codestats in LINE for that)
+app.get('/code/stats', async (req, res) => {
+  if (!CODE_STATS_TOKEN) {
+    return res.status(404).json({ error: 'Code stats endpoint is disabled (CODE_STATS_TOKEN is not set)' });
+  }
+  const token = Buffer.from((req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(CODE_STATS_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const stats = await getCodeStats();
+    res.json({
+      message: 'Code Redemption Stats',
+      totalCodes: stats.length,
+      totalRedemptions: stats.reduce((sum, stat) => sum + stat.redemptions, 0),
+      codes: stats.map(({ lastRedeemedBy, ...stat }) => stat),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in /code/stats endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to get code stats',
+      details: error.message
+    });
+  }
+});
+
 // --- 3. ADD ROOT ENDPOINT ---
 // Endpoint to show the bot status (optimized - no message collection)
 app.get('/', async (req, res) => {
@@ -476,6 +3541,14 @@ app.get('/', async (req, res) => {
     const stats = {
       hasChats: hasChats,
       estimatedMessageCount: totalMessageCount >= 100 ? `${totalMessageCount}+` : totalMessageCount,
+      codeCache: {
+        entries: cachedSheetsData.length,
+        version: cachedSheetsDataVersion,
+        source: cachedSheetsDataSource,
+        updatedAt: cachedSheetsDataUpdatedAt ? cachedSheetsDataUpdatedAt.toISOString() : null,
+        ageSeconds: cachedSheetsDataUpdatedAt ? Math.round((Date.now() - cachedSheetsDataUpdatedAt.getTime()) / 1000) : null,
+        refreshIntervalMinutes: SHEETS_REFRESH_INTERVAL_MS / 60000
+      },
       lastChecked: new Date().toISOString()
     };
 
@@ -484,8 +3557,12 @@ app.get('/', async (req, res) => {
       status: 'active',
       webhook: '/webhook',
       features: [
-        'Message storage (no echo)',
+        'Message storage for text, images, video, audio, files, stickers and locations (no echo)',
         'AI-powered conversation summarization with /summarize command',
+        'Background summary jobs with /status progress reports',
+        'Action-item tracking with /todo and /done',
+        'Chat lifecycle tracking (follow, join, leave and member roster)',
+        'Unsent messages are excluded from summaries; /purge removes a user\'s messages',
         'Firebase data storage',
         'Rate-limited Gemini API integration'
       ],
@@ -494,6 +3571,7 @@ app.get('/', async (req, res) => {
         webhook: '/webhook',
         code: '/code',
         codeUpdate: '/codeupdate',
+        codeStats: '/code/stats',
         messages: '/messages?limit=20'
       },
       note: 'Root endpoint optimized for performance. Use /summarize command for conversation summaries.'
@@ -534,7 +3612,7 @@ app.get('/messages', async (req, res) => {
       const messagesSnapshot = await db.collection('chats')
         .doc(chatDoc.id)
         .collection('messages')
-        .orderBy('timestamp', 'desc')
+        .orderBy('sentAt', 'desc')
         .limit(Math.ceil(limit / chatsSnapshot.size))
         .get();
       
@@ -543,10 +3621,14 @@ app.get('/messages', async (req, res) => {
         messages.push({
           id: doc.id,
           text: data.text,
+          messageType: data.messageType || 'text',
+          metadata: data.metadata || null,
+          quotedMessageId: data.quotedMessageId || null,
           displayName: data.displayName,
           groupName: data.groupName,
           chatsType: data.chatsType,
-          timestamp: data.timestamp?.toDate?.() || null,
+          sentAt: getMessageSentAt(data)?.toDate?.() || null,
+          receivedAt: data.timestamp?.toDate?.() || null,
           userId: data.userId,
           chatId: data.chatsId
         });
@@ -555,11 +3637,11 @@ app.get('/messages', async (req, res) => {
       if (messages.length >= limit) break;
     }
     
-    // Sort all messages by timestamp and take the requested limit
+    // Sort all messages by send time and take the requested limit
     const sortedMessages = messages
       .sort((a, b) => {
-        const timeA = a.timestamp || new Date(0);
-        const timeB = b.timestamp || new Date(0);
+        const timeA = a.sentAt || new Date(0);
+        const timeB = b.sentAt || new Date(0);
         return timeB - timeA;
       })
       .slice(0, limit);
@@ -583,7 +3665,7 @@ app.get('/messages', async (req, res) => {
 // This is the endpoint that LINE will send message data to
 app.post('/webhook', line.middleware(config), (req, res) => {
   Promise
-    .all(req.body.events.map(handleEvent))
+    .all(req.body.events.map(handleEventOnce))
     .then((result) => res.json(result))
     .catch((err) => {
       console.error(err);
@@ -594,206 +3676,115 @@ app.post('/webhook', line.middleware(config), (req, res) => {
 // --- 3. DEFINE THE EVENT HANDLER ---
 // This function handles the incoming messages
 async function handleEvent(event) {
-  // We only want to handle text messages
-  if (event.type !== 'message' || event.message.type !== 'text') {
-    return Promise.resolve(null);
+  // Retracted messages are kept out of summaries
+  if (event.type === 'unsend') {
+    return handleUnsendEvent(event);
   }
 
-  try {
-    // Check if the message is a command FIRST (before saving to database)
-    if (event.message.text.toLowerCase() === '/updatecode') {
-      try {
-        console.log('Processing /updatecode command...');
-        
-        // Fetch fresh Google Sheets data
-        const updatedData = await fetchGoogleSheetsData();
-        console.log(`Code data updated successfully. Found ${updatedData.length} entries.`);
-        
-        const reply = { 
-          type: 'text', 
-          text: `✅ Code data updated successfully!\n\n📊 Found ${updatedData.length} code entries\n🔄 Cache refreshed at ${new Date().toLocaleString()}` 
-        };
-        return client.replyMessage(event.replyToken, reply);
-        
-      } catch (updateError) {
-        console.error('Error updating code data:', updateError);
-        const reply = { 
-          type: 'text', 
-          text: '❌ Sorry, I encountered an error while updating the code data. Please try again later.' 
-        };
-        return client.replyMessage(event.replyToken, reply);
-      }
-    }
-    
-    if (event.message.text.toLowerCase() === '/summarize') {
-      try {
-        console.log('Processing /summarize command...');
-        
-        // Get the last summary timestamp to filter messages BEFORE saving current command
-        const lastSummaryTimestamp = await getLastSummaryTimestamp();
-        console.log('Last summary timestamp:', lastSummaryTimestamp ? lastSummaryTimestamp.toDate().toISOString() : 'None found');
-        
-        // Store the /summarize command in database
-        try {
-          const commandData = {
-            commandID: admin.firestore().collection('commands').doc().id, // Generate unique ID
-            displayName: 'Unknown User', // Will be updated below
-            commandText: '/summarize',
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            userId: event.source.userId,
-            chatsId: event.source.groupId || event.source.userId,
-            chatsType: event.source.groupId ? 'group' : 'user'
-          };
-          
-          // Get user display name
-          if (event.source.groupId) {
-            const profile = await client.getGroupMemberProfile(event.source.groupId, event.source.userId);
-            commandData.displayName = profile.displayName;
-          } else {
-            const profile = await client.getProfile(event.source.userId);
-            commandData.displayName = profile.displayName;
-          }
-          
-          await db.collection('commands').add(commandData);
-          console.log(`Command saved: /summarize from ${commandData.displayName}`);
-        } catch (commandError) {
-          console.error('Error saving /summarize command:', commandError);
-        }
-        
-        // Try to get all chats (groups and users) that the user has participated in
-        //console.log('Querying chats collection...');
-        const allChatsSnapshot = await db.collection('chats').get();
-        console.log(`Found ${allChatsSnapshot.size} chats`);
-        
-        // Debug: List all chat IDs
-        // allChatsSnapshot.docs.forEach(doc => {
-        //   console.log(`Chat ID: ${doc.id}`);
-        // });
-        if (allChatsSnapshot.empty) {
-          // Try alternative approach - check if there are any messages at all
-          console.log('No chats found, trying alternative query...');
-          const messagesSnapshot = await db.collectionGroup('messages').limit(5).get();
-          console.log(`Found ${messagesSnapshot.size} messages in collection group`);
-          
-          if (messagesSnapshot.empty) {
-            const reply = { type: 'text', text: 'No messages found in database. Try sending some messages first!' };
-            return client.replyMessage(event.replyToken, reply);
-          } else {
-            // Group messages by chatId
-            const chatGroups = {};
-            messagesSnapshot.docs.forEach(doc => {
-              const data = doc.data();
-              const chatId = data.chatsId;
-              if (!chatGroups[chatId]) {
-                chatGroups[chatId] = [];
-              }
-              chatGroups[chatId].push(data);
-            });
-            
-            console.log(`Found messages in ${Object.keys(chatGroups).length} chats:`, Object.keys(chatGroups));
-            
-            if (Object.keys(chatGroups).length === 0) {
-              const reply = { type: 'text', text: 'No valid chat groups found.' };
-              return client.replyMessage(event.replyToken, reply);
-            }
-            
-            // Process all chats in batches using the collection group approach
-            const batchSize = 15; // Process 15 chats per batch (matches Gemini RPM limit)
-            const chatEntries = Object.entries(chatGroups);
-            console.log(`Processing ${chatEntries.length} chats from collection group in batches of ${batchSize}`);
-            
-            // Convert chat entries to a format compatible with batch processing
-            const chatDocs = chatEntries.map(([chatId, messages]) => ({
-              id: chatId,
-              data: () => ({ chatsId: chatId })
-            }));
-            
-            // Create a custom batch processing function for collection group data
-            await processCollectionGroupChatsInBatches(client, event, chatEntries, lastSummaryTimestamp, batchSize);
-          }
-        }
+  // Lifecycle events (follow, unfollow, join, leave, memberJoined, memberLeft) only update the chat document
+  if (event.type !== 'message') {
+    return handleLifecycleEvent(event);
+  }
 
-        // Process all chats in batches to ensure all chats are summarized
-        const batchSize = 15; // Process 15 chats per batch (matches Gemini RPM limit)
-        console.log(`Processing ${allChatsSnapshot.docs.length} chats in batches of ${batchSize}`);
-        
-        // Use the new batch processing function
-        await processChatsInBatches(client, event, allChatsSnapshot.docs, lastSummaryTimestamp, batchSize);
+  // Beyond lifecycle events we only handle messages (text, image, video, audio, file, sticker, location)
 
-      } catch (summaryError) {
-        console.error('Error generating summary:', summaryError);
-        
-        let errorMessage = 'Sorry, I encountered an error while generating the summary.';
-        
-        // Provide more specific error messages
-        if (summaryError.message && summaryError.message.includes('Rate limit exceeded')) {
-          errorMessage = '⏰ I\'m currently rate limited by the AI service. Please wait a moment and try again in a few minutes.';
-        } else if (summaryError.message && summaryError.message.includes('quota')) {
-          errorMessage = '📊 I\'ve reached my daily quota limit for AI requests. Please try again tomorrow.';
-        } else if (summaryError.message && summaryError.message.includes('429')) {
-          errorMessage = '🚦 Too many requests at once. Please wait a moment before trying again.';
-        }
-        
-        const reply = { type: 'text', text: errorMessage };
-        return client.replyMessage(event.replyToken, reply);
+  const isTextMessage = event.message.type === 'text';
+  // Set once the reply token has been used for a code reply, so the echo fallback below doesn't reuse it
+  let codeReplySent = false;
+
+  try {
+    // Check if the message is a command FIRST (commands are never saved as messages)
+    const commandText = isTextMessage ? getCommandText(event) : null;
+    if (commandText) {
+      const commandReply = await routeCommand(event, commandText);
+      if (commandReply !== undefined) {
+        return commandReply;
       }
     }
 
     // Check if message text matches any code from cached Google Sheets data
-    try {
-      console.log(`Checking if "${event.message.text}" matches any code from cached Google Sheets data...`);
+    if (isTextMessage) {
+      try {
+        console.log(`Checking if "${event.message.text}" matches any code from cached Google Sheets data...`);
       
-      // Find exact match for the message text in the "code" column
-      const matchingRow = cachedSheetsData.find(row => row.code === event.message.text);
+        // Find every code in the message (normalized, possibly inside a sentence) in the "code" column
+        const codeResult = findCodesInText(getTextWithoutLeadingBotMention(event).trim(), cachedSheetsData);
+        // Codes are only redeemed when clearly asked for (see DOWNLOAD CODES); in a 1:1 chat with the bot they always are
+        const codeRequested = event.source.type === 'user' || codeResult.wholeMessage || codeResult.onlyCodes || isBotMentioned(event);
+        const codeReply = codeRequested ? await buildCodeReply(codeResult, event.source) : null;
       
-      if (matchingRow) {
-        console.log(`Found matching code: ${matchingRow.code} -> ${matchingRow.link}`);
-        const reply = { type: 'text', text: matchingRow.link };
-        return client.replyMessage(event.replyToken, reply);
-      } else {
-        console.log(`No matching code found for: "${event.message.text}"`);
+        if (codeReply) {
+          if (codeResult.matches.length > 0) {
+            console.log(`Found matching codes: ${codeResult.matches.map(match => match.code).join(', ')}`);
+          } else {
+            console.log(`Suggesting codes: ${codeResult.suggestions.map(suggestion => `${suggestion.typed} -> ${suggestion.code}`).join(', ')}`);
+          }
+          // A message that is just a code isn't conversation, so it isn't stored
+          if (codeResult.wholeMessage) {
+            return client.replyMessage(event.replyToken, codeReply);
+          }
+          await client.replyMessage(event.replyToken, codeReply);
+          codeReplySent = true;
+        } else if (codeResult.matches.length > 0) {
+          console.log(`Ignoring codes mentioned in passing: ${codeResult.matches.map(match => match.code).join(', ')}`);
+        } else {
+          console.log(`No matching code found for: "${event.message.text}"`);
+        }
+      } catch (codeCheckError) {
+        console.error('Error checking code from cached Google Sheets data:', codeCheckError);
+        // Continue with regular message processing if code check fails
       }
-    } catch (codeCheckError) {
-      console.error('Error checking code from cached Google Sheets data:', codeCheckError);
-      // Continue with regular message processing if code check fails
     }
 
     // Regular message processing (for non-command messages)
-    // Determine the chats ID (group ID or user ID)
-    const chatsId = event.source.groupId || event.source.userId;
-    const chatsType = event.source.groupId ? 'group' : 'user';
+    // Determine the chats ID (group, room or user ID)
+    const chatsId = getSourceChatId(event.source);
+    const chatsType = getSourceChatType(event.source);
     
     // Get user profile (display name) and group name
     let displayName = 'Unknown User';
     let groupName = null;
     try {
       if (chatsType === 'group') {
-        // Get group member profile
-        const profile = await client.getGroupMemberProfile(event.source.groupId, event.source.userId);
-        displayName = profile.displayName;
+        // Get group member profile (cached)
+        displayName = await getCachedDisplayName(event.source, event.source.userId);
         
-        // Get group summary (group name)
+        // Get group summary (group name, cached)
         try {
-          const groupSummary = await client.getGroupSummary(event.source.groupId);
-          groupName = groupSummary.groupName;
+          groupName = await getCachedGroupName(event.source.groupId);
         } catch (groupError) {
           console.error('Error getting group name:', groupError);
           groupName = 'Unknown Group';
         }
       } else {
-        // Get user profile
-        const profile = await client.getProfile(event.source.userId);
-        displayName = profile.displayName;
+        // Get room member or user profile (cached); rooms have no name
+        displayName = await getCachedDisplayName(event.source, event.source.userId);
       }
     } catch (profileError) {
       console.error('Error getting user profile:', profileError);
       // Keep default displayName if profile fetch fails
     }
     
+    // Resolve mentioned users' names now, while they're cheap to look up from the profile cache
+    const metadata = extractMessageMetadata(event.message);
+    for (const mentionee of (metadata && metadata.mentionees) || []) {
+      if (!mentionee.userId) continue;
+      try {
+        mentionee.displayName = await getCachedDisplayName(event.source, mentionee.userId);
+      } catch (mentionError) {
+        console.error(`Error getting display name of mentioned user ${mentionee.userId}:`, mentionError);
+      }
+    }
+
     // Write message data to Firestore
     const messageData = {
       messageId: event.message.id,
-      text: event.message.text,
+      text: isTextMessage ? event.message.text : null,
+      metadata: metadata,
+      quotedMessageId: event.message.quotedMessageId || null,
+      // sentAt is when LINE received the message and drives ordering and summary windows;
+      // timestamp is when we wrote it, which lags behind after redeliveries or outages
+      sentAt: getEventTimestamp(event),
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
       eventType: event.type,
       messageType: event.message.type,
@@ -809,32 +3800,49 @@ async function handleEvent(event) {
     try {
       // First, ensure the chat document exists
       const chatDocRef = db.collection('chats').doc(chatsId);
-      await chatDocRef.set({
+      // A message means the bot is in this chat, and its sender belongs on the roster
+      const chatData = {
         chatsId: chatsId,
         chatsType: chatsType,
         groupName: groupName,
+        status: 'active',
         lastActivity: admin.firestore.FieldValue.serverTimestamp(),
         createdAt: admin.firestore.FieldValue.serverTimestamp()
-      }, { merge: true });
+      };
+      if (chatsType !== 'user' && event.source.userId) {
+        chatData.members = admin.firestore.FieldValue.arrayUnion(event.source.userId);
+      }
+      await chatDocRef.set(chatData, { merge: true });
       console.log(`Chat document ensured for ${chatsId}`);
       
-      // Then add the message
-      const docRef = await chatDocRef
-        .collection('messages')
-        .add(messageData);
-      console.log(`Message saved successfully with ID: ${docRef.id}`);
+      // Then add the message, keyed by LINE's message ID so a redelivered event can't store it twice
+      try {
+        await chatDocRef
+          .collection('messages')
+          .doc(event.message.id)
+          .create(messageData);
+        console.log(`Message saved successfully with ID: ${event.message.id}`);
+      } catch (createError) {
+        if (!isAlreadyExistsError(createError)) throw createError;
+        console.log(`Message ${event.message.id} was already saved, skipping duplicate`);
+        return Promise.resolve(null);
+      }
     } catch (firestoreError) {
       console.error('Firestore save error:', firestoreError);
       throw firestoreError;
     }
     
-    console.log(`Message saved to Firestore for ${chatsType} from ${displayName}:`, messageData.text);
+    console.log(`Message saved to Firestore for ${chatsType} from ${displayName}:`, formatMessageForPrompt(messageData));
 
     // Don't echo messages anymore, just save to database
     return Promise.resolve(null);
   } catch (error) {
     console.error('Error handling event:', error);
-    // Still try to send the echo reply even if Firestore write fails
+    // Still try to send the echo reply even if Firestore write fails (only text can be echoed)
+    // A redelivered event's reply token has usually expired, so don't try to echo those
+    if (!isTextMessage || codeReplySent || (event.deliveryContext && event.deliveryContext.isRedelivery)) {
+      return Promise.resolve(null);
+    }
     const echo = { type: 'text', text: event.message.text };
     return client.replyMessage(event.replyToken, echo);
   }
@@ -843,25 +3851,37 @@ async function handleEvent(event) {
 // --- 4. EXPORT FIREBASE FUNCTIONS ---
 // Export the Express app as Firebase Functions
 
-// Initialize Google Sheets data on function cold start
-let sheetsDataInitialized = false;
+// Load the code list on function cold start from the last Firestore snapshot, which the scheduled
+// refreshCodeList function keeps current, so requests never wait on Google Sheets
+// (Google Sheets is only fetched here when there's no snapshot yet)
+let sheetsDataLoadedAt = 0;
 async function initializeSheetsData() {
-  if (!sheetsDataInitialized) {
-    try {
+  if (sheetsDataLoadedAt) return;
+  try {
+    if (!(await loadCodeCacheSnapshot())) {
       console.log('Initializing Google Sheets data...');
       await fetchGoogleSheetsData();
       console.log('Google Sheets data initialized successfully');
-      sheetsDataInitialized = true;
-    } catch (error) {
-      console.error('Failed to initialize Google Sheets data:', error);
     }
+    sheetsDataLoadedAt = Date.now();
+  } catch (error) {
+    console.error('Failed to initialize Google Sheets data:', error);
   }
 }
 
+// Reload the snapshot once this instance's copy is older than SHEETS_REFRESH_INTERVAL_MS, to pick up the
+// scheduled refreshes (a single Firestore read; the Sheets fetch and admin notifications stay in refreshCodeList)
+async function reloadSheetsDataIfStale() {
+  if (!SHEETS_REFRESH_INTERVAL_MS || Date.now() - sheetsDataLoadedAt < SHEETS_REFRESH_INTERVAL_MS) return;
+  sheetsDataLoadedAt = Date.now();
+  await loadCodeCacheSnapshot();
+}
+
 // Export all routes as Firebase Functions
 exports.lineSummaryBot = functions.https.onRequest(async (req, res) => {
-  // Initialize sheets data on first request
+  // Load the code list on first request, and pick up newer snapshots once it's gone stale
   await initializeSheetsData();
+  await reloadSheetsDataIfStale();
   
   // Handle CORS
   res.set('Access-Control-Allow-Origin', '*');
@@ -875,4 +3895,42 @@ exports.lineSummaryBot = functions.https.onRequest(async (req, res) => {
   
   // Route the request to the Express app
   app(req, res);
-});
\ No newline at end of file
+});
+
+// Run each queued summary job in its own function invocation, outside the webhook request
+exports.processSummaryJob = functions
+  .runWith({ timeoutSeconds: SUMMARY_JOB_RUN_TIME_LIMIT_MS / 1000, memory: '512MB' })
+  .firestore.document('summaryJobs/{jobId}')
+  .onCreate(async (snapshot, context) => {
+    await runSummaryJob(context.params.jobId);
+  });
+
+// Continue a summary job that didn't fit in one run (see scheduleSummaryJobRun)
+exports.continueSummaryJob = functions
+  .runWith({ timeoutSeconds: SUMMARY_JOB_RUN_TIME_LIMIT_MS / 1000, memory: '512MB' })
+  .firestore.document('summaryJobRuns/{runId}')
+  .onCreate(async (snapshot) => {
+    await runSummaryJob(snapshot.data().jobId);
+    await snapshot.ref.delete();
+  });
+
+// Refresh the code list from Google Sheets every SHEETS_REFRESH_INTERVAL_MS, outside the webhook request
+// The last snapshot is loaded first, so the change report compares against what every instance is serving
+if (SHEETS_REFRESH_INTERVAL_MS) {
+  exports.refreshCodeList = functions.pubsub
+    .schedule(`every ${Math.max(1, Math.round(SHEETS_REFRESH_INTERVAL_MS / 60000))} minutes`)
+    .onRun(async () => {
+      await loadCodeCacheSnapshot();
+      await refreshSheetsData({ notify: NOTIFY_ADMINS_OF_CODE_CHANGES });
+    });
+}
+
+// Give messages stored before sentAt existed a sentAt, so summaries and /messages see them again
+// Runs on a schedule rather than on a request, since the first run reads every stored message; once the
+// migration has completed, each run only reads migrations/messageSentAt
+exports.backfillMessageSentAt = functions
+  .runWith({ timeoutSeconds: 540, memory: '512MB' })
+  .pubsub.schedule('every 60 minutes')
+  .onRun(async () => {
+    await backfillMessageSentAt();
+  });